@@ -1,49 +1,725 @@
+const Lifetime = Object.freeze({
+    TRANSIENT: 'transient',
+    SINGLETON: 'singleton',
+    SCOPED: 'scoped'
+});
+
+// Async factories can be recognised without calling them. Plain functions that
+// return a promise are only caught after the call.
+function isAsyncFunction(fn) {
+    return Object.prototype.toString.call(fn) === '[object AsyncFunction]';
+}
+
+class CircularDependencyError extends Error {
+    constructor(path) {
+        super(`Circular dependency detected: ${path.join(' -> ')}`);
+        this.name = 'CircularDependencyError';
+        this.path = path;
+    }
+}
+
+class MissingDependencyError extends Error {
+    constructor(name, path) {
+        const requiredBy = path.length > 0 ? ` (required by ${path.join(' -> ')})` : '';
+        super(`Service ${name} not registered${requiredBy}`);
+        this.name = 'MissingDependencyError';
+        this.serviceName = name;
+        this.path = [...path, name];
+    }
+}
+
+class ResolutionError extends Error {
+    constructor(path, cause) {
+        super(`Failed to resolve ${path.join(' -> ')}: ${cause.message}`);
+        this.name = 'ResolutionError';
+        this.path = path;
+        this.cause = cause;
+    }
+}
+
+class DependencyGraph {
+    constructor(nodes, edges, issues) {
+        this.nodes = nodes;
+        this.edges = edges;
+        this.issues = issues;
+    }
+
+    // Graphviz DOT, e.g. `dot -Tsvg graph.dot > graph.svg`
+    toDot() {
+        const quote = value => JSON.stringify(String(value));
+        const lines = ['digraph DIContainer {', '    rankdir=LR;'];
+
+        for (const node of this.nodes) {
+            const style = node.registered ? '' : ', style=dashed, color=red';
+            lines.push(`    ${quote(node.name)} [label=${quote(`${node.name}\n${node.lifetime}`)}${style}];`);
+        }
+        for (const edge of this.edges) {
+            const style = edge.captive ? ' [color=orange, label="captive"]' : '';
+            lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)}${style};`);
+        }
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    // Mermaid flowchart, renders directly in GitHub markdown
+    toMermaid() {
+        const id = name => String(name).replace(/[^\w]/g, '_');
+        const lines = ['graph LR'];
+
+        for (const node of this.nodes) {
+            const style = node.registered ? '' : ':::missing';
+            lines.push(`    ${id(node.name)}["${node.name} (${node.lifetime})"]${style}`);
+        }
+        for (const edge of this.edges) {
+            const arrow = edge.captive ? '-. captive .->' : '-->';
+            lines.push(`    ${id(edge.from)} ${arrow} ${id(edge.to)}`);
+        }
+
+        lines.push('    classDef missing stroke:#f00,stroke-dasharray: 5 5');
+        return lines.join('\n');
+    }
+
+    toJSON() {
+        return {
+            nodes: this.nodes,
+            edges: this.edges,
+            issues: this.issues
+        };
+    }
+}
+
 class DIContainer {
-    constructor() {
+    constructor(parent = null) {
+        this.parent = parent;
         this.services = new Map();
+        this.decorators = new Map();
         this.singletons = new Map();
+        this.scopedInstances = new Map();
+        this.pendingSingletons = new Map();
+        this.pendingScoped = new Map();
+        this.children = new Set();
+        this.disposables = [];
+        this.disposing = null;
+        this.disposed = false;
     }
 
     // Register a service with its implementation
-    register(name, Implementation, dependencies = []) {
-        this.services.set(name, {
-            Implementation,
-            dependencies,
-            singleton: false
-        });
-        return this;
+    register(name, Implementation, dependencies = [], { dispose } = {}) {
+        return this.addService(name, { Implementation, dependencies, lifetime: Lifetime.TRANSIENT, dispose });
     }
 
     // Register a singleton service
-    registerSingleton(name, Implementation, dependencies = []) {
-        this.services.set(name, {
+    registerSingleton(name, Implementation, dependencies = [], { dispose } = {}) {
+        return this.addService(name, { Implementation, dependencies, lifetime: Lifetime.SINGLETON, dispose });
+    }
+
+    // Register a service that is created once per scope
+    registerScoped(name, Implementation, dependencies = [], { dispose } = {}) {
+        return this.addService(name, { Implementation, dependencies, lifetime: Lifetime.SCOPED, dispose });
+    }
+
+    // Register a (possibly async) factory that receives its dependencies by name.
+    // Pass `async: true` for a plain function that returns a promise, so
+    // resolve() refuses it without calling it.
+    registerFactory(name, factory, dependencies = [], {
+        lifetime = Lifetime.TRANSIENT,
+        dispose,
+        async = isAsyncFunction(factory)
+    } = {}) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Factory for ${name} must be a function`);
+        }
+        if (!Object.values(Lifetime).includes(lifetime)) {
+            throw new Error(`Unknown lifetime ${lifetime} for ${name}`);
+        }
+        return this.addService(name, { factory, dependencies, lifetime, dispose, async });
+    }
+
+    // Register a ready-made value such as a config object or a constant
+    registerValue(name, value) {
+        return this.addService(name, { value, dependencies: [], lifetime: Lifetime.SINGLETON });
+    }
+
+    // Add another implementation under a token shared by several services
+    registerMany(name, Implementation, dependencies = [], { lifetime = Lifetime.TRANSIENT, dispose } = {}) {
+        const existing = this.services.get(name);
+        if (existing && !existing.multi) {
+            throw new Error(`Service ${name} is already registered as a single service`);
+        }
+
+        const multi = existing || { multi: true, bindings: [] };
+        multi.bindings.push({
             Implementation,
             dependencies,
-            singleton: true
+            lifetime,
+            dispose,
+            key: `${name}#${multi.bindings.length}`
         });
+        this.services.set(name, multi);
         return this;
     }
 
+    addService(name, service) {
+        const existing = this.services.get(name);
+        if (existing && existing.multi) {
+            throw new Error(`Service ${name} is a multi-binding, use registerMany() to add to it`);
+        }
+        if (existing) {
+            throw new Error(`Service ${name} is already registered`);
+        }
+        this.services.set(name, { ...service, key: name });
+        return this;
+    }
+
+    // Wrap every instance resolved under a name. Decorators run in the order
+    // they were added, parent container decorators first.
+    decorate(name, decorator) {
+        if (typeof decorator !== 'function') {
+            throw new Error(`Decorator for ${name} must be a function`);
+        }
+        if (!this.decorators.has(name)) {
+            this.decorators.set(name, []);
+        }
+        this.decorators.get(name).push(decorator);
+        return this;
+    }
+
+    decoratorsFor(name) {
+        const chain = [];
+        for (let container = this; container; container = container.parent) {
+            chain.unshift(...(container.decorators.get(name) || []));
+        }
+        return chain;
+    }
+
+    applyDecorators(name, instance) {
+        return this.decoratorsFor(name).reduce((wrapped, decorator) => decorator(wrapped, this), instance);
+    }
+
+    async applyDecoratorsAsync(name, instance) {
+        let wrapped = instance;
+        for (const decorator of this.decoratorsFor(name)) {
+            wrapped = await decorator(wrapped, this);
+        }
+        return wrapped;
+    }
+
+    // Create a child container that inherits (and may override) our registrations
+    createScope() {
+        this.assertNotDisposed();
+        const scope = new DIContainer(this);
+        this.children.add(scope);
+        return scope;
+    }
+
+    // Find a registration along with the container that owns it
+    lookup(name) {
+        for (let container = this; container; container = container.parent) {
+            if (container.services.has(name)) {
+                return { service: container.services.get(name), owner: container };
+            }
+        }
+        return null;
+    }
+
     // Resolve a service and its dependencies
     resolve(name) {
-        const service = this.services.get(name);
-        if (!service) {
-            throw new Error(`Service ${name} not registered`);
+        return this.resolveInPath(name, []);
+    }
+
+    // Resolve a service, tracking the chain of services that led to it
+    resolveInPath(name, path) {
+        this.assertNotDisposed();
+
+        if (path.includes(name)) {
+            throw new CircularDependencyError([...path, name]);
         }
 
-        if (service.singleton && this.singletons.has(name)) {
-            return this.singletons.get(name);
+        const registration = this.lookup(name);
+        if (!registration) {
+            throw new MissingDependencyError(name, path);
         }
 
-        const dependencies = service.dependencies.map(dep => this.resolve(dep));
-        const instance = new service.Implementation(...dependencies);
+        const { service, owner } = registration;
+        const servicePath = [...path, name];
 
-        if (service.singleton) {
-            this.singletons.set(name, instance);
+        // A multi-binding token resolves to every implementation registered under it
+        if (service.multi) {
+            return service.bindings.map(binding => this.resolveBinding(name, binding, owner, servicePath));
         }
+        return this.resolveBinding(name, service, owner, servicePath);
+    }
+
+    // Resolve every implementation registered under a name
+    resolveAll(name) {
+        const instances = this.resolve(name);
+        return this.lookup(name).service.multi ? instances : [instances];
+    }
 
+    resolveBinding(name, service, owner, path) {
+        switch (service.lifetime) {
+            case Lifetime.SINGLETON:
+                // Singletons live in the container that registered them, so they
+                // never capture scoped services from a child
+                if (!owner.singletons.has(service.key)) {
+                    const instance = owner.instantiate(name, service, path);
+                    owner.singletons.set(service.key, owner.applyDecorators(name, instance));
+                    owner.track(name, service, instance);
+                }
+                return owner.singletons.get(service.key);
+
+            case Lifetime.SCOPED:
+                if (!this.parent) {
+                    throw new Error(`Scoped service ${name} cannot be resolved from the root container`);
+                }
+                if (!this.scopedInstances.has(service.key)) {
+                    const instance = this.instantiate(name, service, path);
+                    this.scopedInstances.set(service.key, this.applyDecorators(name, instance));
+                    this.track(name, service, instance);
+                }
+                return this.scopedInstances.get(service.key);
+
+            default:
+                return this.applyDecorators(name, this.instantiate(name, service, path));
+        }
+    }
+
+    instantiate(name, service, path) {
+        if ('value' in service) {
+            return service.value;
+        }
+        if (service.async) {
+            throw new Error(`Service ${name} has an async factory, use resolveAsync() instead`);
+        }
+
+        const dependencies = service.dependencies.map(dep => this.resolveInPath(dep, path));
+        if (!service.factory) {
+            return new service.Implementation(...dependencies);
+        }
+
+        const instance = service.factory(this.dependencyMap(service, dependencies));
+        if (instance && typeof instance.then === 'function') {
+            instance.catch(() => {});
+            throw new Error(`Service ${name} has an async factory, use resolveAsync() instead`);
+        }
         return instance;
     }
+
+    // Resolve a service whose dependency graph may contain async factories
+    async resolveAsync(name) {
+        return this.resolveAsyncInPath(name, []);
+    }
+
+    async resolveAsyncInPath(name, path) {
+        this.assertNotDisposed();
+
+        if (path.includes(name)) {
+            throw new CircularDependencyError([...path, name]);
+        }
+
+        const registration = this.lookup(name);
+        if (!registration) {
+            throw new MissingDependencyError(name, path);
+        }
+
+        const { service, owner } = registration;
+        const servicePath = [...path, name];
+
+        if (service.multi) {
+            const instances = [];
+            for (const binding of service.bindings) {
+                instances.push(await this.resolveBindingAsync(name, binding, owner, servicePath));
+            }
+            return instances;
+        }
+        return this.resolveBindingAsync(name, service, owner, servicePath);
+    }
+
+    // Resolve every implementation registered under a name, awaiting async factories
+    async resolveAllAsync(name) {
+        const instances = await this.resolveAsync(name);
+        return this.lookup(name).service.multi ? instances : [instances];
+    }
+
+    async resolveBindingAsync(name, service, owner, path) {
+        switch (service.lifetime) {
+            case Lifetime.SINGLETON:
+                return owner.cachedAsync(owner.singletons, owner.pendingSingletons, name, service,
+                    () => owner.instantiateAsync(service, path));
+
+            case Lifetime.SCOPED:
+                if (!this.parent) {
+                    throw new Error(`Scoped service ${name} cannot be resolved from the root container`);
+                }
+                return this.cachedAsync(this.scopedInstances, this.pendingScoped, name, service,
+                    () => this.instantiateAsync(service, path));
+
+            default:
+                return this.applyDecoratorsAsync(name, await this.instantiateAsync(service, path));
+        }
+    }
+
+    // Share one in-flight creation between concurrent resolves of a cached service
+    cachedAsync(cache, pending, name, service, create) {
+        if (cache.has(service.key)) {
+            return cache.get(service.key);
+        }
+
+        if (!pending.has(service.key)) {
+            const creation = create()
+                .then(async instance => {
+                    const decorated = await this.applyDecoratorsAsync(name, instance);
+                    cache.set(service.key, decorated);
+                    this.track(name, service, instance);
+                    return decorated;
+                })
+                .finally(() => pending.delete(service.key));
+            pending.set(service.key, creation);
+        }
+        return pending.get(service.key);
+    }
+
+    async instantiateAsync(service, path) {
+        if ('value' in service) {
+            return service.value;
+        }
+
+        // Dependencies are awaited one by one, in the order they were declared
+        const dependencies = [];
+        for (const dep of service.dependencies) {
+            dependencies.push(await this.resolveAsyncInPath(dep, path));
+        }
+
+        try {
+            if (!service.factory) {
+                return new service.Implementation(...dependencies);
+            }
+            return await service.factory(this.dependencyMap(service, dependencies));
+        } catch (error) {
+            throw new ResolutionError(path, error);
+        }
+    }
+
+    dependencyMap(service, dependencies) {
+        return Object.fromEntries(service.dependencies.map((dep, i) => [dep, dependencies[i]]));
+    }
+
+    // Check the whole dependency graph for missing or circular dependencies
+    // without creating any instances
+    validate() {
+        const checked = new Map();
+
+        const visit = (container, name, path) => {
+            if (path.includes(name)) {
+                throw new CircularDependencyError([...path, name]);
+            }
+
+            const registration = container.lookup(name);
+            if (!registration) {
+                throw new MissingDependencyError(name, path);
+            }
+
+            const { service, owner } = registration;
+            for (const binding of service.multi ? service.bindings : [service]) {
+                const resolver = binding.lifetime === Lifetime.SINGLETON ? owner : container;
+
+                if (!checked.has(resolver)) {
+                    checked.set(resolver, new Set());
+                }
+                if (checked.get(resolver).has(binding.key)) {
+                    continue;
+                }
+
+                for (const dep of binding.dependencies) {
+                    visit(resolver, dep, [...path, name]);
+                }
+                checked.get(resolver).add(binding.key);
+            }
+        };
+
+        for (const name of this.registeredNames()) {
+            visit(this, name, []);
+        }
+
+        return this;
+    }
+
+    // Replace a registration, typically with a fake in tests. Classes keep the
+    // lifetime and dependencies of the registration they replace; anything else
+    // is registered as a value. Cached instances that depend on it are dropped.
+    override(name, valueOrImpl, { dependencies, lifetime } = {}) {
+        const registration = this.lookup(name);
+        const previous = registration && !registration.service.multi ? registration.service : {};
+        const isClass = typeof valueOrImpl === 'function' && valueOrImpl.prototype !== undefined;
+
+        const service = isClass
+            ? {
+                Implementation: valueOrImpl,
+                dependencies: dependencies || previous.dependencies || [],
+                lifetime: lifetime || previous.lifetime || Lifetime.TRANSIENT
+            }
+            : { value: valueOrImpl, dependencies: [], lifetime: Lifetime.SINGLETON };
+
+        this.services.set(name, { ...service, key: name });
+        this.evict(this.dependentsOf(name));
+        return this;
+    }
+
+    // A service plus everything that depends on it, directly or transitively
+    dependentsOf(name) {
+        const { edges } = this.graph();
+        const dependents = new Set([name]);
+
+        let added = true;
+        while (added) {
+            added = false;
+            for (const edge of edges) {
+                if (dependents.has(edge.to) && !dependents.has(edge.from)) {
+                    dependents.add(edge.from);
+                    added = true;
+                }
+            }
+        }
+        return dependents;
+    }
+
+    // Drop cached instances of the given services here and in child scopes.
+    // Their disposables stay tracked, so they are still disposed with the container.
+    evict(names) {
+        const matches = key => names.has(key) || names.has(key.replace(/#\d+$/, ''));
+
+        for (const cache of [this.singletons, this.scopedInstances]) {
+            for (const key of [...cache.keys()]) {
+                if (matches(key)) {
+                    cache.delete(key);
+                }
+            }
+        }
+        for (const child of this.children) {
+            child.evict(names);
+        }
+    }
+
+    // Capture registrations and cached instances so a test can restore them later
+    snapshot() {
+        return {
+            services: this.copyServices(this.services),
+            decorators: new Map([...this.decorators].map(([name, list]) => [name, [...list]])),
+            singletons: new Map(this.singletons),
+            scopedInstances: new Map(this.scopedInstances)
+        };
+    }
+
+    // Instances created since the snapshot are dropped from the caches but
+    // stay tracked, so they are still disposed with the container
+    restore(snapshot) {
+        this.services = this.copyServices(snapshot.services);
+        this.decorators = new Map([...snapshot.decorators].map(([name, list]) => [name, [...list]]));
+        this.singletons = new Map(snapshot.singletons);
+        this.scopedInstances = new Map(snapshot.scopedInstances);
+        this.pendingSingletons.clear();
+        this.pendingScoped.clear();
+        // Scoped instances in child scopes may have been built from overrides
+        for (const child of this.children) {
+            child.clearScopedInstances();
+        }
+        return this;
+    }
+
+    clearScopedInstances() {
+        this.scopedInstances.clear();
+        this.pendingScoped.clear();
+        for (const child of this.children) {
+            child.clearScopedInstances();
+        }
+    }
+
+    copyServices(services) {
+        return new Map([...services].map(([name, service]) => [
+            name,
+            service.multi ? { ...service, bindings: [...service.bindings] } : service
+        ]));
+    }
+
+    // Describe the registrations visible from this container as a graph. Services
+    // listed in `roots` are entry points and are never reported as unused.
+    graph({ roots = [] } = {}) {
+        const nodes = new Map();
+        const edges = [];
+        const captive = [];
+        const missing = new Map();
+
+        for (const name of this.registeredNames()) {
+            const { service } = this.lookup(name);
+            const bindings = service.multi ? service.bindings : [service];
+            const lifetimes = [...new Set(bindings.map(binding => binding.lifetime))];
+
+            nodes.set(name, {
+                name,
+                lifetime: lifetimes.length === 1 ? lifetimes[0] : 'mixed',
+                multi: Boolean(service.multi),
+                registered: true
+            });
+
+            const dependencies = new Set(bindings.flatMap(binding => binding.dependencies));
+            for (const dep of dependencies) {
+                const target = this.lookup(dep);
+                const isSingleton = bindings.some(binding => binding.lifetime === Lifetime.SINGLETON);
+                // A multi-binding is captured when any of its bindings is short-lived
+                const depBindings = !target ? [] : target.service.multi ? target.service.bindings : [target.service];
+                const depLifetime = [Lifetime.SCOPED, Lifetime.TRANSIENT]
+                    .find(lifetime => depBindings.some(binding => binding.lifetime === lifetime)) || null;
+                const isCaptive = isSingleton && depLifetime !== null;
+
+                edges.push({ from: name, to: dep, captive: isCaptive });
+
+                if (isCaptive) {
+                    captive.push({ singleton: name, dependency: dep, lifetime: depLifetime });
+                }
+                if (!target) {
+                    if (!missing.has(dep)) {
+                        missing.set(dep, []);
+                    }
+                    missing.get(dep).push(name);
+                }
+            }
+        }
+
+        for (const name of missing.keys()) {
+            nodes.set(name, { name, lifetime: 'missing', multi: false, registered: false });
+        }
+
+        const dependedOn = new Set(edges.map(edge => edge.to));
+        const unused = [...nodes.values()]
+            .filter(node => node.registered && !dependedOn.has(node.name) && !roots.includes(node.name))
+            .map(node => node.name);
+
+        return new DependencyGraph([...nodes.values()], edges, {
+            unused,
+            captive,
+            missing: [...missing].map(([name, requiredBy]) => ({ name, requiredBy }))
+        });
+    }
+
+    // Names of all registrations visible from this container
+    registeredNames() {
+        const names = new Set();
+        for (let container = this; container; container = container.parent) {
+            for (const name of container.services.keys()) {
+                names.add(name);
+            }
+        }
+        return [...names];
+    }
+
+    // Remember how to tear down a cached instance. Transient instances belong
+    // to whoever resolved them and are not tracked.
+    track(name, service, instance) {
+        // Registered values are owned by whoever created them
+        if ('value' in service) {
+            return;
+        }
+
+        let dispose = null;
+
+        if (service.dispose) {
+            dispose = () => service.dispose(instance);
+        } else if (instance && typeof Symbol.asyncDispose === 'symbol' &&
+            typeof instance[Symbol.asyncDispose] === 'function') {
+            dispose = () => instance[Symbol.asyncDispose]();
+        } else if (instance && typeof instance.dispose === 'function') {
+            dispose = () => instance.dispose();
+        }
+
+        if (dispose) {
+            this.disposables.push({ name, dispose });
+        }
+    }
+
+    // Dispose child scopes, then this container's instances in reverse order of creation
+    dispose({ timeout = 5000 } = {}) {
+        if (!this.disposing) {
+            this.disposing = this.disposeInstances(timeout);
+        }
+        return this.disposing;
+    }
+
+    async disposeInstances(timeout) {
+        this.disposed = true;
+        const errors = [];
+
+        for (const child of this.children) {
+            try {
+                await child.dispose({ timeout });
+            } catch (error) {
+                errors.push(...(error.errors || [error]));
+            }
+        }
+
+        for (const { name, dispose } of this.disposables.reverse()) {
+            let timer;
+            const timedOut = new Promise((resolve, reject) => {
+                timer = setTimeout(
+                    () => reject(new Error(`Disposing ${name} timed out after ${timeout}ms`)),
+                    timeout
+                );
+            });
+
+            try {
+                await Promise.race([Promise.resolve().then(dispose), timedOut]);
+            } catch (error) {
+                errors.push(error);
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        this.disposables = [];
+        this.children.clear();
+        this.scopedInstances.clear();
+        this.singletons.clear();
+        if (this.parent) {
+            this.parent.children.delete(this);
+        }
+
+        if (errors.length > 0) {
+            throw new AggregateError(errors, `Failed to dispose ${errors.length} service(s)`);
+        }
+    }
+
+    // Opt-in: dispose the container when the process is asked to shut down.
+    // Returns a function that removes the signal handlers again.
+    disposeOnSignals({ signals = ['SIGTERM', 'SIGINT'], timeout, exit = true } = {}) {
+        const removeHandlers = () => {
+            signals.forEach(signal => process.removeListener(signal, handler));
+        };
+
+        const handler = async (signal) => {
+            removeHandlers();
+            let exitCode = 0;
+
+            try {
+                await this.dispose({ timeout });
+            } catch (error) {
+                console.error(`Error disposing container on ${signal}: ${error.message}`);
+                exitCode = 1;
+            }
+
+            if (exit) {
+                process.exit(exitCode);
+            }
+        };
+
+        signals.forEach(signal => process.on(signal, handler));
+        return removeHandlers;
+    }
+
+    assertNotDisposed() {
+        if (this.disposed) {
+            throw new Error('Container has been disposed');
+        }
+    }
 }
 
 class EmailService {
@@ -51,6 +727,11 @@ class EmailService {
         // Implementation
         console.log('Order confirmation sent', user, productId);
     }
+
+    async dispose() {
+        // Close the SMTP connection
+        console.log('Email client closed');
+    }
 }
 
 class PaymentService {
@@ -58,6 +739,55 @@ class PaymentService {
         // Implementation
         console.log('Payment processed', amount, userId);
     }
+
+    async close() {
+        // Close the payment gateway client
+        console.log('Payment client closed');
+    }
+}
+
+class InventoryHandler {
+    handle(event) {
+        console.log('Inventory reserved for', event.productId);
+    }
+}
+
+class AnalyticsHandler {
+    handle(event) {
+        console.log('Analytics recorded', event.type);
+    }
+}
+
+// Log every method call on a service without editing its class
+function withLogging(name) {
+    return (instance) => new Proxy(instance, {
+        get(target, property, receiver) {
+            const value = Reflect.get(target, property, receiver);
+            if (typeof value !== 'function') {
+                return value;
+            }
+            return (...args) => {
+                console.log(`${name}.${String(property)} called with`, args);
+                return value.apply(target, args);
+            };
+        }
+    });
+}
+
+class RequestContext {
+    constructor() {
+        this.requestId = Math.random().toString(36).slice(2);
+    }
+}
+
+class UserRepository {
+    constructor(database) {
+        this.database = database;
+    }
+
+    findById(id) {
+        return this.database.query('SELECT * FROM users WHERE id = ?', [id]);
+    }
 }
 
 class OrderService {
@@ -76,8 +806,11 @@ class OrderService {
 const container = new DIContainer();
 
 // Register services
+container.registerValue('config', { currency: 'USD' });
 container.registerSingleton('emailService', EmailService);
-container.registerSingleton('paymentService', PaymentService);
+container.registerSingleton('paymentService', PaymentService, [], {
+    dispose: paymentService => paymentService.close()
+});
 
 // Register OrderService with its dependencies
 container.register('orderService', OrderService, [
@@ -85,7 +818,118 @@ container.register('orderService', OrderService, [
     'paymentService'
 ]);
 
+// Decorate OrderService with logging
+container.decorate('orderService', withLogging('orderService'));
+
+// Collect every order event handler under one token
+container.registerMany('orderEventHandler', InventoryHandler);
+container.registerMany('orderEventHandler', AnalyticsHandler);
+
+// Fail fast at boot if the graph is broken
+container.validate();
+
 // Resolve the OrderService when needed
 const orderService = container.resolve('orderService');
 
+// Inspect the graph, e.g. paste the Mermaid output into the README
+const graph = container.graph({ roots: ['orderService', 'orderEventHandler', 'config'] });
+console.log(graph.toMermaid());
+console.log('Graph issues:', graph.issues);
+
 orderService.createOrder(1, 2);
+
+container.resolveAll('orderEventHandler').forEach(handler => {
+    handler.handle({ type: 'order.created', productId: 2 });
+});
+
+// Close the email and payment clients on SIGTERM/SIGINT
+container.disposeOnSignals();
+
+// In tests, swap the payment gateway for a fake and restore the container afterwards
+const snapshot = container.snapshot();
+container.override('paymentService', {
+    processPayment: async (amount, userId) => console.log('Fake payment processed', amount, userId)
+});
+container.resolve('orderService').createOrder(3, 4);
+container.restore(snapshot);
+
+// Give each request its own context
+container.registerScoped('requestContext', RequestContext);
+
+const firstRequest = container.createScope();
+const secondRequest = container.createScope();
+
+console.log(
+    'Same context within a scope:',
+    firstRequest.resolve('requestContext') === firstRequest.resolve('requestContext')
+);
+console.log(
+    'Different context across scopes:',
+    firstRequest.resolve('requestContext') !== secondRequest.resolve('requestContext')
+);
+
+firstRequest.dispose();
+secondRequest.dispose();
+
+// Cycles and missing dependencies are reported with the full resolution path
+const brokenContainer = new DIContainer()
+    .register('orderService', OrderService, ['emailService', 'paymentService'])
+    .register('paymentService', PaymentService, ['ledger'])
+    .register('emailService', EmailService, ['orderService']);
+
+try {
+    brokenContainer.resolve('orderService');
+} catch (error) {
+    console.log(`${error.name}: ${error.message}`);
+}
+
+try {
+    // A child scope may override a parent registration
+    brokenContainer.createScope().register('emailService', EmailService).validate();
+} catch (error) {
+    console.log(`${error.name}: ${error.message}`);
+}
+
+// Services that need async setup are registered as factories
+async function demonstrateAsyncResolution() {
+    const asyncContainer = new DIContainer();
+
+    asyncContainer.registerFactory('database', async () => {
+        // Simulate opening a connection pool
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return {
+            query: async (sql, params) => ({ sql, params }),
+            end: async () => console.log('Database pool closed')
+        };
+    }, [], { lifetime: Lifetime.SINGLETON, dispose: database => database.end() });
+
+    asyncContainer.registerFactory('userRepository', async ({ database }) => {
+        return new UserRepository(database);
+    }, ['database']);
+
+    asyncContainer.registerFactory('ledger', async () => {
+        throw new Error('Ledger unavailable');
+    });
+    asyncContainer.register('paymentService', PaymentService, ['ledger']);
+
+    // Concurrent resolves share the same in-flight singleton
+    const [first, second] = await Promise.all([
+        asyncContainer.resolveAsync('database'),
+        asyncContainer.resolveAsync('database')
+    ]);
+    console.log('Single database pool:', first === second);
+
+    const userRepository = await asyncContainer.resolveAsync('userRepository');
+    console.log('User query:', await userRepository.findById(1));
+
+    try {
+        await asyncContainer.resolveAsync('paymentService');
+    } catch (error) {
+        console.log(`${error.name}: ${error.message}`);
+    }
+
+    // Tear everything down in reverse order of creation
+    await asyncContainer.dispose({ timeout: 1000 });
+}
+
+demonstrateAsyncResolution().catch(console.error);
@@ -1,97 +1,1515 @@
+const EventEmitter = require('events');
 const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { pathToFileURL } = require('url');
+const { Worker } = require('worker_threads');
 
-class PluginManager {
+// Minimal semver support for plugin dependency ranges: exact versions, x-ranges,
+// ^, ~, comparison operators, space-separated AND and `||` OR. Versions are
+// [major, minor, patch, prerelease identifiers].
+function parseVersion(version) {
+    const match = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z.-]+)?$/
+        .exec(String(version).trim());
+    return match ? [...match.slice(1, 4).map(Number), match[4] ? match[4].split('.') : []] : null;
+}
+
+function compareVersions(a, b) {
+    for (let i = 0; i < 3; i++) {
+        if (a[i] !== b[i]) {
+            return a[i] - b[i];
+        }
+    }
+    return comparePrerelease(a[3], b[3]);
+}
+
+// A release comes after its prereleases. Identifiers compare numerically when
+// both are numbers, and numbers come before words.
+function comparePrerelease(a, b) {
+    if (a.length === 0 || b.length === 0) {
+        return b.length - a.length;
+    }
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (a[i] === undefined) {
+            return -1;
+        }
+        if (b[i] === undefined) {
+            return 1;
+        }
+        if (a[i] === b[i]) {
+            continue;
+        }
+        const aNumeric = /^\d+$/.test(a[i]);
+        const bNumeric = /^\d+$/.test(b[i]);
+        if (aNumeric && bNumeric) {
+            return Number(a[i]) - Number(b[i]);
+        }
+        if (aNumeric !== bNumeric) {
+            return aNumeric ? -1 : 1;
+        }
+        return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+// Returns null for comparators that match any version
+function parseComparator(comparator) {
+    if (comparator === '' || comparator === '*' || comparator.toLowerCase() === 'x') {
+        return null;
+    }
+
+    const match = /^(\^|~|>=|<=|>|<|=)?v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z.-]+)?$/
+        .exec(comparator);
+    if (!match) {
+        throw new Error(`Invalid version range: ${comparator}`);
+    }
+
+    const [, operator = '=', ...parts] = match;
+    const prerelease = parts.pop();
+    const specified = parts.findIndex(part => part === undefined || /^[xX*]$/.test(part));
+    const precision = specified === -1 ? 3 : specified;
+    if (prerelease && precision < 3) {
+        throw new Error(`Invalid version range: ${comparator}`);
+    }
+
+    const base = [...parts.map((part, i) => (i < precision ? Number(part) : 0)), prerelease ? prerelease.split('.') : []];
+    return { operator, base, precision };
+}
+
+function matchesComparator(version, { operator, base, precision }) {
+    if (precision === 0) {
+        return operator !== '>' && operator !== '<';
+    }
+
+    // Upper bound for ranges: bump the given position and zero everything after it
+    const bump = index => [...base.slice(0, 3).map((n, i) => (i < index ? n : i === index ? n + 1 : 0)), []];
+
+    // A partial version stands for every version it covers, so >1.2 means
+    // >=1.3.0 and <=1.2 means <1.3.0
+    switch (operator) {
+        case '>=': return compareVersions(version, base) >= 0;
+        case '<=': return precision < 3
+            ? compareVersions(version, bump(precision - 1)) < 0
+            : compareVersions(version, base) <= 0;
+        case '>': return precision < 3
+            ? compareVersions(version, bump(precision - 1)) >= 0
+            : compareVersions(version, base) > 0;
+        case '<': return compareVersions(version, base) < 0;
+        case '^': {
+            const index = precision === 1 ? 0 : base.findIndex((n, i) => n !== 0 || i === precision - 1);
+            return compareVersions(version, base) >= 0 && compareVersions(version, bump(index)) < 0;
+        }
+        case '~': {
+            const index = precision === 1 ? 0 : 1;
+            return compareVersions(version, base) >= 0 && compareVersions(version, bump(index)) < 0;
+        }
+        default:
+            if (precision === 3) {
+                return compareVersions(version, base) === 0;
+            }
+            return compareVersions(version, base) >= 0 && compareVersions(version, bump(precision - 1)) < 0;
+    }
+}
+
+function satisfiesVersion(version, range) {
+    const parsed = parseVersion(version);
+    if (!parsed) {
+        return false;
+    }
+
+    return String(range).split('||').some(set => {
+        const comparators = set.trim().split(/\s+/).map(parseComparator).filter(Boolean);
+
+        // As with npm, a prerelease only matches ranges that name a prerelease
+        // of the same major.minor.patch
+        const samePrerelease = comparators.some(({ base }) =>
+            base[3].length > 0 && base.slice(0, 3).every((n, i) => n === parsed[i])
+        );
+        if (parsed[3].length > 0 && !samePrerelease) {
+            return false;
+        }
+
+        return comparators.every(comparator => matchesComparator(parsed, comparator));
+    });
+}
+
+const HookMode = Object.freeze({
+    // Run every hook in turn and collect the results
+    SERIES: 'series',
+    // Pass each hook's result on to the next one
+    WATERFALL: 'waterfall',
+    // Stop at the first hook that returns something other than undefined
+    BAIL: 'bail',
+    // Run all hooks at once
+    PARALLEL: 'parallel',
+    // Run every hook synchronously, see executeHookSync()
+    SYNC: 'sync'
+});
+
+// Validate a plugin configuration against the small JSON Schema subset plugins
+// declare in `configSchema`: type, properties, required, additionalProperties,
+// enum, minimum, maximum, minLength, items and default. Returns the
+// configuration with defaults applied, plus any errors found.
+function validateConfig(schema, value, at = 'config') {
+    const errors = [];
+
+    if (value === undefined && schema.default !== undefined) {
+        value = JSON.parse(JSON.stringify(schema.default));
+    }
+    if (value === undefined) {
+        return { value, errors };
+    }
+
+    const types = [].concat(schema.type || []);
+    const typeOf = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const matchesType = type =>
+        type === typeOf || (type === 'integer' && Number.isInteger(value));
+    if (types.length > 0 && !types.some(matchesType)) {
+        errors.push(`${at} must be of type ${types.join(' or ')}`);
+        return { value, errors };
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${at} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${at} must be <= ${schema.maximum}`);
+        }
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${at} must be at least ${schema.minLength} characters long`);
+    }
+
+    if (typeOf === 'array' && schema.items) {
+        value = value.map((item, i) => {
+            const result = validateConfig(schema.items, item, `${at}[${i}]`);
+            errors.push(...result.errors);
+            return result.value;
+        });
+    }
+
+    if (typeOf === 'object') {
+        const properties = schema.properties || {};
+        const result = { ...value };
+
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            const property = validateConfig(propertySchema, value[key], `${at}.${key}`);
+            errors.push(...property.errors);
+            if (property.value !== undefined) {
+                result[key] = property.value;
+            }
+        }
+        for (const key of schema.required || []) {
+            if (result[key] === undefined) {
+                errors.push(`${at}.${key} is required`);
+            }
+        }
+        if (schema.additionalProperties === false) {
+            for (const key of Object.keys(value)) {
+                if (!(key in properties)) {
+                    errors.push(`${at}.${key} is not allowed`);
+                }
+            }
+        }
+        value = result;
+    }
+
+    return { value, errors };
+}
+
+class CapabilityError extends Error {
+    constructor(pluginName, capability) {
+        super(`Plugin ${pluginName} is not granted the ${capability} capability`);
+        this.name = 'CapabilityError';
+        this.plugin = pluginName;
+        this.capability = capability;
+    }
+}
+
+// Capabilities a plugin can declare:
+//   hook:<name>          subscribe to a hook (hook:* for any)
+//   emit:<name>          execute a hook through api.emit (emit:* for any)
+//   fs:read:<dir>        read files below a directory (fs:read for anywhere)
+//   fs:write:<dir>       write and read files below a directory (fs:write for anywhere)
+//   net                  make requests with api.fetch
+//   service:<name>       use a service the host provides (service:* for any)
+function hasCapability(capabilities, requested) {
+    const [kind, ...rest] = requested.split(':');
+
+    if (kind === 'fs') {
+        const [mode, target] = rest;
+        return capabilities.some(capability => {
+            const [grantKind, grantMode, ...grantPath] = capability.split(':');
+            if (grantKind !== 'fs' || (grantMode !== mode && grantMode !== 'write')) {
+                return false;
+            }
+            if (grantPath.length === 0) {
+                return true;
+            }
+            const directory = path.resolve(grantPath.join(':'));
+            const file = path.resolve(target);
+            return file === directory || file.startsWith(directory + path.sep);
+        });
+    }
+
+    return capabilities.includes(requested) ||
+        (rest.length > 0 && capabilities.includes(`${kind}:*`));
+}
+
+const PluginState = Object.freeze({
+    REGISTERED: 'registered',
+    INITIALIZING: 'initializing',
+    ACTIVE: 'active',
+    FAILED: 'failed',
+    DISABLED: 'disabled'
+});
+
+// Runs inside the worker of an isolated plugin: loads the plugin module and
+// answers hook calls posted by IsolatedPluginHost
+const ISOLATED_PLUGIN_WORKER = `
+const { parentPort, workerData } = require('worker_threads');
+
+const reply = (id, payload) => {
+    try {
+        parentPort.postMessage({ id, ...payload });
+    } catch (error) {
+        parentPort.postMessage({ id, error: { message: 'Result could not be cloned: ' + error.message } });
+    }
+};
+
+(async () => {
+    const plugin = workerData.url
+        ? (await import(workerData.url)).default
+        : require(workerData.modulePath);
+
+    const hooks = {};
+    for (const [hookName, declaration] of Object.entries(plugin.hooks || {})) {
+        const { handler, ...options } = typeof declaration === 'function' ? { handler: declaration } : declaration;
+        hooks[hookName] = { handler, options };
+    }
+
+    parentPort.on('message', async ({ id, type, hook, args }) => {
+        try {
+            let result;
+            if (type === 'call') {
+                result = await hooks[hook].handler(...args);
+            } else if (typeof plugin[type] === 'function') {
+                await plugin[type](...(args || []));
+            }
+            reply(id, { result });
+        } catch (error) {
+            reply(id, { error: { message: error.message, stack: error.stack } });
+        }
+    });
+
+    parentPort.postMessage({
+        type: 'ready',
+        plugin: {
+            name: plugin.name,
+            version: plugin.version,
+            dependencies: plugin.dependencies,
+            peerDependencies: plugin.peerDependencies,
+            configSchema: plugin.configSchema,
+            capabilities: plugin.capabilities,
+            hooks: Object.fromEntries(Object.entries(hooks).map(([name, hook]) => [name, hook.options]))
+        }
+    });
+})().catch(error => {
+    parentPort.postMessage({ type: 'loadError', message: error.message });
+});
+`;
+
+// Owns the worker of an isolated plugin and proxies calls to it over message
+// passing, each with its own timeout
+class IsolatedPluginHost {
+    #worker;
+    #pending = new Map();
+    #nextId = 0;
+    #exitError = null;
+
+    // `isModule` loads the plugin with import(), as for a "type": "module" package
+    constructor(modulePath, { isModule = modulePath.endsWith('.mjs') } = {}) {
+        this.#worker = new Worker(ISOLATED_PLUGIN_WORKER, {
+            eval: true,
+            workerData: {
+                modulePath,
+                url: isModule ? pathToFileURL(modulePath).href : null
+            }
+        });
+
+        this.#worker.on('message', message => this.#settle(message));
+        this.#worker.on('error', error => {
+            this.#exitError = error;
+        });
+        this.#worker.on('exit', code => {
+            this.#exitError = this.#exitError || new Error(`Plugin worker exited with code ${code}`);
+            for (const { reject, timer } of this.#pending.values()) {
+                clearTimeout(timer);
+                reject(this.#exitError);
+            }
+            this.#pending.clear();
+        });
+    }
+
+    get terminated() {
+        return this.#exitError !== null;
+    }
+
+    // Wait for the worker to load the plugin module and describe its hooks
+    ready(timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.terminate();
+                reject(new Error(`Plugin worker did not start within ${timeout}ms`));
+            }, timeout);
+
+            const onMessage = message => {
+                if (message.type !== 'ready' && message.type !== 'loadError') {
+                    return;
+                }
+                clearTimeout(timer);
+                this.#worker.off('message', onMessage);
+                if (message.type === 'ready') {
+                    resolve(message.plugin);
+                } else {
+                    this.terminate();
+                    reject(new Error(message.message));
+                }
+            };
+            this.#worker.on('message', onMessage);
+            this.#worker.once('exit', () => {
+                clearTimeout(timer);
+                reject(this.#exitError);
+            });
+        });
+    }
+
+    call(type, { hook, args = [] } = {}, timeout) {
+        if (this.#exitError) {
+            return Promise.reject(this.#exitError);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.#nextId++;
+            const label = hook ? `Hook ${hook}` : type;
+            const timer = setTimeout(() => {
+                this.#pending.delete(id);
+                reject(new Error(`${label} timed out after ${timeout}ms`));
+            }, timeout);
+
+            this.#pending.set(id, { resolve, reject, timer });
+            this.#worker.postMessage({ id, type, hook, args });
+        });
+    }
+
+    #settle({ id, result, error }) {
+        const pending = this.#pending.get(id);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.#pending.delete(id);
+        if (error) {
+            pending.reject(Object.assign(new Error(error.message), { stack: error.stack }));
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    async terminate() {
+        this.#exitError = this.#exitError || new Error('Plugin worker was terminated');
+        await this.#worker.terminate();
+    }
+}
+
+class PluginManager extends EventEmitter {
     #plugins = new Map();
     #hooks = new Map();
+    #hookModes = new Map();
+    #hookOrder = 0;
+    #watchers = new Map();
+    // Lifecycle state and hook statistics, kept for failed plugins too
+    #records = new Map();
+    // Configuration and disabled plugins, kept across reloads and restarts
+    #configs = new Map();
+    #disabled = new Set();
+    // Per-plugin key-value stores handed out through the plugin API
+    #stores = new Map();
+    // Revokes the API handed to each plugin once it is unregistered or fails
+    #apiRevokers = new Map();
+    // Worker hosts of isolated plugin objects, to stop them if registration fails
+    #isolatedHosts = new WeakMap();
+    #services;
+    #logger;
+    #capabilityPolicy;
+    #requireCapabilities;
+
+    // `services` are exposed to plugins holding the matching service:<name>
+    // capability. `capabilityPolicy(pluginName, capability)` can refuse
+    // capabilities a plugin declares. Plugins that declare no capabilities at
+    // all may still subscribe to any hook, as before, but are granted nothing
+    // else. `requireCapabilities` refuses them altogether.
+    constructor({
+        logger = console,
+        services = {},
+        capabilityPolicy = () => true,
+        requireCapabilities = false
+    } = {}) {
+        super();
+        this.#logger = logger;
+        this.#services = new Map(Object.entries(services));
+        this.#capabilityPolicy = capabilityPolicy;
+        this.#requireCapabilities = requireCapabilities;
+    }
 
-    async registerPlugin(plugin) {
+    // Make a service available to plugins granted service:<name>
+    provideService(name, service) {
+        this.#services.set(name, service);
+    }
+
+    // `config` takes precedence over configuration set with setPluginConfig()
+    // or loaded with loadPluginState()
+    async registerPlugin(plugin, { config } = {}) {
         // Validate plugin structure
         if (!plugin.name || !plugin.version) {
             throw new Error('Plugin must have name and version properties');
         }
 
+        if (!parseVersion(plugin.version)) {
+            throw new Error(`Plugin ${plugin.name} has an invalid version ${plugin.version}`);
+        }
+
         if (this.#plugins.has(plugin.name)) {
             throw new Error(`Plugin ${plugin.name} is already registered`);
         }
 
+        // Dependencies must already be registered in a compatible version
+        this.#checkDependencies(plugin, this.#registeredVersions());
+
+        // Plugins already registered may declare this one as a peer
+        for (const other of this.#plugins.values()) {
+            const range = (other.peerDependencies || {})[plugin.name];
+            if (range && !satisfiesVersion(plugin.version, range)) {
+                throw new Error(
+                    `Plugin ${other.name} requires peer ${plugin.name}@${range}, cannot register v${plugin.version}`
+                );
+            }
+        }
+
+        this.#checkCapabilities(plugin);
+
+        // Work out hook order up front so a bad declaration fails before initialize
+        this.#prepareHooks(plugin);
+
+        const pluginConfig = this.#resolveConfig(plugin, config !== undefined ? config : this.#configs.get(plugin.name));
+
+        const record = {
+            state: PluginState.REGISTERED,
+            version: plugin.version,
+            isolated: Boolean(plugin.isolated),
+            capabilities: plugin.capabilities || null,
+            quarantined: false,
+            error: null,
+            hooks: new Map()
+        };
+        this.#records.set(plugin.name, record);
+        this.emit('plugin:registered', { plugin: plugin.name, version: plugin.version });
+
         // Initialize plugin if needed
         if (typeof plugin.initialize === 'function') {
+            record.state = PluginState.INITIALIZING;
             try {
-                await plugin.initialize();
+                await plugin.initialize(pluginConfig, this.#createPluginApi(plugin, pluginConfig));
             } catch (error) {
+                this.#revokePluginApi(plugin.name);
+                this.#removeHooks(plugin.name);
+                record.state = PluginState.FAILED;
+                record.error = error;
+                this.emit('plugin:error', { plugin: plugin.name, phase: 'initialize', error });
                 throw new Error(`Failed to initialize plugin ${plugin.name}: ${error.message}`);
             }
         }
 
-        // Register plugin hooks
-        for (const [hookName, hookFn] of Object.entries(plugin.hooks || {})) {
-            if (!this.#hooks.has(hookName)) {
-                this.#hooks.set(hookName, new Set());
+        // Register plugin hooks, alongside any added through api.registerHook()
+        this.#commitHooks(this.#prepareHooks(plugin));
+
+        this.#plugins.set(plugin.name, plugin);
+        this.#configs.set(plugin.name, pluginConfig);
+        record.state = this.#disabled.has(plugin.name) ? PluginState.DISABLED : PluginState.ACTIVE;
+        this.emit('plugin:initialized', { plugin: plugin.name, version: plugin.version });
+    }
+
+    #commitHooks({ hooks, modes }) {
+        for (const [hookName, handlers] of hooks) {
+            this.#hooks.set(hookName, handlers);
+        }
+        for (const [hookName, mode] of modes) {
+            this.#hookModes.set(hookName, mode);
+        }
+    }
+
+    // Refuse plugins whose capabilities the host does not grant, or whose hooks
+    // fall outside what they declared
+    #checkCapabilities(plugin) {
+        if (!plugin.capabilities) {
+            if (this.#requireCapabilities) {
+                throw new Error(`Plugin ${plugin.name} must declare its capabilities`);
+            }
+            return;
+        }
+
+        for (const capability of plugin.capabilities) {
+            if (!this.#capabilityPolicy(plugin.name, capability)) {
+                throw new CapabilityError(plugin.name, capability);
             }
-            this.#hooks.get(hookName).add(hookFn);
         }
+        for (const hookName of Object.keys(plugin.hooks || {})) {
+            this.#assertCapability(plugin, `hook:${hookName}`);
+        }
+    }
 
-        this.#plugins.set(plugin.name, plugin);
-        console.log(`Plugin ${plugin.name} v${plugin.version} registered successfully`);
+    #assertCapability(plugin, capability) {
+        if (!plugin.capabilities) {
+            if (capability.startsWith('hook:')) {
+                return;
+            }
+            throw new CapabilityError(plugin.name, capability);
+        }
+        if (!hasCapability(plugin.capabilities, capability)) {
+            throw new CapabilityError(plugin.name, capability);
+        }
+    }
+
+    // The host API a plugin receives as the second argument of initialize().
+    // Every method throws once the plugin is unregistered or failed to initialize.
+    #createPluginApi(plugin, config) {
+        const check = capability => this.#assertCapability(plugin, capability);
+
+        let revoked = false;
+        this.#apiRevokers.set(plugin.name, () => {
+            revoked = true;
+        });
+        const guard = methods => Object.freeze(Object.fromEntries(
+            Object.entries(methods).map(([key, value]) => [
+                key,
+                typeof value !== 'function' ? value : (...args) => {
+                    if (revoked) {
+                        throw new Error(`Plugin ${plugin.name} is no longer registered`);
+                    }
+                    return value(...args);
+                }
+            ])
+        ));
+
+        if (!this.#stores.has(plugin.name)) {
+            this.#stores.set(plugin.name, new Map());
+        }
+        const store = this.#stores.get(plugin.name);
+
+        const log = level => (message, ...rest) => {
+            this.#logger[level](`[${plugin.name}] ${message}`, ...rest);
+        };
+
+        return guard({
+            name: plugin.name,
+            config,
+            logger: guard({
+                debug: log('debug'),
+                info: log('info'),
+                warn: log('warn'),
+                error: log('error')
+            }),
+            store: guard({
+                get: key => store.get(key),
+                set: (key, value) => {
+                    store.set(key, value);
+                },
+                has: key => store.has(key),
+                delete: key => store.delete(key),
+                keys: () => [...store.keys()]
+            }),
+            registerHook: (hookName, declaration) => {
+                check(`hook:${hookName}`);
+                this.#commitHooks(this.#prepareHooks({ name: plugin.name, hooks: { [hookName]: declaration } }));
+            },
+            emit: (hookName, ...args) => {
+                check(`emit:${hookName}`);
+                return this.executeHook(hookName, ...args);
+            },
+            getService: name => {
+                check(`service:${name}`);
+                if (!this.#services.has(name)) {
+                    throw new Error(`Service ${name} is not provided by the host`);
+                }
+                return this.#services.get(name);
+            },
+            fetch: (...args) => {
+                check('net');
+                return fetch(...args);
+            },
+            fs: guard({
+                readFile: (file, options) => {
+                    check(`fs:read:${file}`);
+                    return fs.promises.readFile(file, options);
+                },
+                writeFile: (file, data, options) => {
+                    check(`fs:write:${file}`);
+                    return fs.promises.writeFile(file, data, options);
+                },
+                appendFile: (file, data, options) => {
+                    check(`fs:write:${file}`);
+                    return fs.promises.appendFile(file, data, options);
+                },
+                mkdir: (directory, options) => {
+                    check(`fs:write:${directory}`);
+                    return fs.promises.mkdir(directory, options);
+                }
+            })
+        });
+    }
+
+    #revokePluginApi(pluginName) {
+        const revoke = this.#apiRevokers.get(pluginName);
+        if (revoke) {
+            revoke();
+            this.#apiRevokers.delete(pluginName);
+        }
+    }
+
+    // Apply defaults and validate against the plugin's configSchema
+    #resolveConfig(plugin, config = {}) {
+        if (!plugin.configSchema) {
+            return config;
+        }
+
+        const { value, errors } = validateConfig(plugin.configSchema, config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid configuration for plugin ${plugin.name}: ${errors.join('; ')}`);
+        }
+        return value;
+    }
+
+    // Set the configuration a plugin receives the next time it is initialized
+    setPluginConfig(pluginName, config) {
+        const plugin = this.#plugins.get(pluginName);
+        this.#configs.set(pluginName, plugin ? this.#resolveConfig(plugin, config) : config);
+    }
+
+    getPluginConfig(pluginName) {
+        return this.#configs.get(pluginName);
+    }
+
+    // Stop calling a plugin's hooks without shutting it down
+    disablePlugin(pluginName) {
+        const record = this.#records.get(pluginName);
+        this.#disabled.add(pluginName);
+
+        if (record && record.state === PluginState.ACTIVE) {
+            record.state = PluginState.DISABLED;
+            this.emit('plugin:disabled', { plugin: pluginName });
+        }
+    }
+
+    enablePlugin(pluginName) {
+        const record = this.#records.get(pluginName);
+        if (record && record.quarantined) {
+            throw new Error(`Plugin ${pluginName} is quarantined, reload or register it again`);
+        }
+        if (record && record.state === PluginState.FAILED) {
+            throw new Error(`Plugin ${pluginName} failed to initialize and cannot be enabled`);
+        }
+
+        this.#disabled.delete(pluginName);
+        if (record && record.state === PluginState.DISABLED) {
+            record.state = PluginState.ACTIVE;
+            this.emit('plugin:enabled', { plugin: pluginName });
+        }
+    }
+
+    // Persist which plugins are enabled and how they are configured
+    async savePluginState(file) {
+        const names = new Set([...this.#records.keys(), ...this.#configs.keys(), ...this.#disabled]);
+        const plugins = {};
+        for (const name of names) {
+            const record = this.#records.get(name);
+            plugins[name] = {
+                // A quarantined plugin must not come back enabled after a restart
+                enabled: !this.#disabled.has(name) && !(record && record.quarantined),
+                config: this.#configs.get(name) || {}
+            };
+        }
+
+        // Write to a temporary file first so a crash never leaves half a file behind
+        const temporary = `${file}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify({ plugins }, null, 2));
+        await fs.promises.rename(temporary, file);
+    }
+
+    // Restore state saved by savePluginState(). Best called before plugins are
+    // registered; plugins already registered are enabled or disabled right away.
+    // Plugins whose state can't be applied (failed, quarantined, invalid config)
+    // are reported with a `plugin:error` event and skipped.
+    // Returns false when there is no saved state yet.
+    async loadPluginState(file) {
+        let saved;
+        try {
+            saved = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw new Error(`Invalid plugin state in ${file}: ${error.message}`);
+        }
+
+        for (const [name, { enabled = true, config } = {}] of Object.entries(saved.plugins || {})) {
+            try {
+                if (config !== undefined) {
+                    this.setPluginConfig(name, config);
+                }
+                if (enabled) {
+                    this.enablePlugin(name);
+                } else {
+                    this.disablePlugin(name);
+                }
+            } catch (error) {
+                this.emit('plugin:error', { plugin: name, phase: 'state', error });
+            }
+        }
+        return true;
+    }
+
+    // Register several plugins, initializing dependencies before their dependents
+    async registerPlugins(plugins) {
+        const available = this.#registeredVersions();
+        for (const plugin of plugins) {
+            available.set(plugin.name, plugin.version);
+        }
+
+        // Check the whole batch before registering any of it
+        for (const plugin of plugins) {
+            this.#checkDependencies(plugin, available);
+        }
+
+        for (const plugin of this.#sortByDependencies(plugins)) {
+            await this.registerPlugin(plugin);
+        }
+    }
+
+    #registeredVersions() {
+        return new Map(Array.from(this.#plugins.values(), plugin => [plugin.name, plugin.version]));
+    }
+
+    #checkDependencies(plugin, available) {
+        for (const [name, range] of Object.entries(plugin.dependencies || {})) {
+            if (!available.has(name)) {
+                throw new Error(`Plugin ${plugin.name} requires ${name}@${range}, which is not registered`);
+            }
+            if (!satisfiesVersion(available.get(name), range)) {
+                throw new Error(
+                    `Plugin ${plugin.name} requires ${name}@${range}, but v${available.get(name)} is registered`
+                );
+            }
+        }
+
+        // Peer dependencies are optional, but must be compatible when present
+        for (const [name, range] of Object.entries(plugin.peerDependencies || {})) {
+            if (available.has(name) && !satisfiesVersion(available.get(name), range)) {
+                throw new Error(
+                    `Plugin ${plugin.name} requires peer ${name}@${range}, but v${available.get(name)} is registered`
+                );
+            }
+        }
+    }
+
+    // Topological order: a plugin comes after everything it depends on
+    #sortByDependencies(plugins) {
+        const byName = new Map(plugins.map(plugin => [plugin.name, plugin]));
+        const state = new Map();
+        const sorted = [];
+
+        const visit = (plugin, chain) => {
+            if (state.get(plugin.name) === 'done') {
+                return;
+            }
+            if (state.get(plugin.name) === 'visiting') {
+                throw new Error(`Circular plugin dependency: ${[...chain, plugin.name].join(' -> ')}`);
+            }
+
+            state.set(plugin.name, 'visiting');
+            const names = [
+                ...Object.keys(plugin.dependencies || {}),
+                ...Object.keys(plugin.peerDependencies || {})
+            ];
+            for (const name of names) {
+                if (byName.has(name)) {
+                    visit(byName.get(name), [...chain, plugin.name]);
+                }
+            }
+            state.set(plugin.name, 'done');
+            sorted.push(plugin);
+        };
+
+        plugins.forEach(plugin => visit(plugin, []));
+        return sorted;
+    }
+
+    // Names of registered plugins that list the given plugin as a dependency
+    #dependentsOf(pluginName) {
+        return Array.from(this.#plugins.values())
+            .filter(plugin => Object.keys(plugin.dependencies || {}).includes(pluginName))
+            .map(plugin => plugin.name);
+    }
+
+    // Declare how a hook is executed. Plugins whose handlers expect another
+    // mode are rejected.
+    defineHook(hookName, { mode = HookMode.SERIES } = {}) {
+        if (!Object.values(HookMode).includes(mode)) {
+            throw new Error(`Unknown mode ${mode} for hook ${hookName}`);
+        }
+
+        for (const handler of this.#hooks.get(hookName) || []) {
+            if (handler.mode && handler.mode !== mode) {
+                throw new Error(
+                    `Hook ${hookName} of plugin ${handler.plugin} expects ${handler.mode} mode, not ${mode}`
+                );
+            }
+        }
+
+        this.#hookModes.set(hookName, mode);
+    }
+
+    // Normalize a plugin's hook declarations. A hook is either a function or
+    // { handler, priority, before, after, mode }.
+    #prepareHooks(plugin) {
+        const hooks = new Map();
+        const modes = new Map();
+
+        for (const [hookName, declaration] of Object.entries(plugin.hooks || {})) {
+            const options = typeof declaration === 'function' ? { handler: declaration } : declaration;
+            if (typeof options.handler !== 'function') {
+                throw new Error(`Hook ${hookName} of plugin ${plugin.name} must be a function`);
+            }
+
+            const mode = this.#hookModes.get(hookName);
+            if (options.mode && !Object.values(HookMode).includes(options.mode)) {
+                throw new Error(`Unknown mode ${options.mode} for hook ${hookName} of plugin ${plugin.name}`);
+            }
+            if (options.mode && mode && options.mode !== mode) {
+                throw new Error(
+                    `Hook ${hookName} of plugin ${plugin.name} expects ${options.mode} mode, but it runs in ${mode} mode`
+                );
+            }
+            if (options.mode && !mode) {
+                modes.set(hookName, options.mode);
+            }
+
+            const handler = {
+                plugin: plugin.name,
+                fn: options.handler,
+                priority: options.priority || 0,
+                before: [].concat(options.before || []),
+                after: [].concat(options.after || []),
+                mode: options.mode,
+                order: this.#hookOrder++
+            };
+
+            const handlers = [...(this.#hooks.get(hookName) || []), handler];
+            hooks.set(hookName, this.#sortHandlers(hookName, handlers));
+        }
+
+        return { hooks, modes };
+    }
+
+    // Order handlers by priority (highest first, then registration order) while
+    // honouring before/after constraints between plugins
+    #sortHandlers(hookName, handlers) {
+        const byPriority = [...handlers].sort((a, b) => b.priority - a.priority || a.order - b.order);
+        const successors = new Map(byPriority.map(handler => [handler, new Set()]));
+        const incoming = new Map(byPriority.map(handler => [handler, 0]));
+
+        const link = (from, to) => {
+            if (from !== to && !successors.get(from).has(to)) {
+                successors.get(from).add(to);
+                incoming.set(to, incoming.get(to) + 1);
+            }
+        };
+
+        for (const handler of byPriority) {
+            for (const other of byPriority) {
+                if (handler.before.includes(other.plugin)) {
+                    link(handler, other);
+                }
+                if (handler.after.includes(other.plugin)) {
+                    link(other, handler);
+                }
+            }
+        }
+
+        const sorted = [];
+        const ready = byPriority.filter(handler => incoming.get(handler) === 0);
+        while (ready.length > 0) {
+            const handler = ready.shift();
+            sorted.push(handler);
+            for (const next of successors.get(handler)) {
+                incoming.set(next, incoming.get(next) - 1);
+                if (incoming.get(next) === 0) {
+                    ready.push(next);
+                    ready.sort((a, b) => byPriority.indexOf(a) - byPriority.indexOf(b));
+                }
+            }
+        }
+
+        if (sorted.length !== handlers.length) {
+            throw new Error(`Circular before/after ordering for hook ${hookName}`);
+        }
+        return sorted;
+    }
+
+    // Handlers of a hook whose plugins are currently active
+    #activeHandlers(hookName) {
+        return (this.#hooks.get(hookName) || [])
+            .filter(handler => {
+                // A plugin that is gone may still have left a handler behind
+                const record = this.#records.get(handler.plugin);
+                return record && record.state === PluginState.ACTIVE;
+            });
+    }
+
+    // Call one handler, recording its latency and reporting failures as events
+    async #invoke(hookName, handler, args) {
+        const start = performance.now();
+        try {
+            const result = await handler.fn(...args);
+            this.#recordCall(hookName, handler, start, null);
+            return result;
+        } catch (error) {
+            this.#recordCall(hookName, handler, start, error);
+            throw error;
+        }
+    }
+
+    #invokeSync(hookName, handler, args) {
+        const start = performance.now();
+        try {
+            const result = handler.fn(...args);
+            if (result && typeof result.then === 'function') {
+                result.catch(() => {});
+                throw new Error(`plugin ${handler.plugin} returned a promise`);
+            }
+            this.#recordCall(hookName, handler, start, null);
+            return result;
+        } catch (error) {
+            this.#recordCall(hookName, handler, start, error);
+            throw error;
+        }
+    }
+
+    #recordCall(hookName, handler, start, error) {
+        const duration = performance.now() - start;
+        const record = this.#records.get(handler.plugin);
+
+        if (record) {
+            if (!record.hooks.has(hookName)) {
+                record.hooks.set(hookName, { calls: 0, errors: 0, totalDuration: 0, maxDuration: 0 });
+            }
+            const stats = record.hooks.get(hookName);
+            stats.calls++;
+            stats.totalDuration += duration;
+            stats.maxDuration = Math.max(stats.maxDuration, duration);
+            if (error) {
+                stats.errors++;
+            }
+        }
+
+        this.emit('hook:executed', { plugin: handler.plugin, hook: hookName, duration, error });
+        if (error) {
+            this.emit('plugin:error', { plugin: handler.plugin, phase: 'hook', hook: hookName, error });
+        }
     }
 
     async executeHook(hookName, ...args) {
-        const hooks = this.#hooks.get(hookName);
-        if (!hooks) {
-            return [];
+        const handlers = this.#activeHandlers(hookName);
+
+        switch (this.#hookModes.get(hookName) || HookMode.SERIES) {
+            case HookMode.WATERFALL:
+                return this.#executeWaterfall(hookName, handlers, args);
+            case HookMode.BAIL:
+                return this.#executeBail(hookName, handlers, args);
+            case HookMode.PARALLEL:
+                return this.#executeParallel(hookName, handlers, args);
+            case HookMode.SYNC:
+                return this.executeHookSync(hookName, ...args);
+            default:
+                return this.#executeSeries(hookName, handlers, args);
         }
+    }
 
+    // Run a hook defined in sync mode without awaiting anything
+    executeHookSync(hookName, ...args) {
+        const mode = this.#hookModes.get(hookName);
+        if (mode !== HookMode.SYNC) {
+            throw new Error(`Hook ${hookName} is not defined in sync mode`);
+        }
+
+        return this.#activeHandlers(hookName).map(handler => {
+            try {
+                return this.#invokeSync(hookName, handler, args);
+            } catch (error) {
+                return null;
+            }
+        });
+    }
+
+    async #executeSeries(hookName, handlers, args) {
         const results = [];
-        for (const hook of hooks) {
+        for (const handler of handlers) {
             try {
-                const result = await hook(...args);
+                const result = await this.#invoke(hookName, handler, args);
                 results.push(result);
             } catch (error) {
-                console.error(`Error executing hook ${hookName}: ${error.message}`);
                 results.push(null);
             }
         }
         return results;
     }
 
-    async unregisterPlugin(pluginName) {
+    // Each handler receives the previous result as its first argument. A handler
+    // that fails or returns undefined leaves the value unchanged.
+    async #executeWaterfall(hookName, handlers, [initial, ...rest]) {
+        let value = initial;
+        for (const handler of handlers) {
+            try {
+                const result = await this.#invoke(hookName, handler, [value, ...rest]);
+                if (result !== undefined) {
+                    value = result;
+                }
+            } catch (error) {
+                // Reported through plugin:error, the value passes through unchanged
+            }
+        }
+        return value;
+    }
+
+    async #executeBail(hookName, handlers, args) {
+        for (const handler of handlers) {
+            try {
+                const result = await this.#invoke(hookName, handler, args);
+                if (result !== undefined) {
+                    return result;
+                }
+            } catch (error) {
+                // Reported through plugin:error, try the next handler
+            }
+        }
+        return undefined;
+    }
+
+    async #executeParallel(hookName, handlers, args) {
+        const outcomes = await Promise.allSettled(handlers.map(handler => this.#invoke(hookName, handler, args)));
+        return outcomes.map(outcome => (outcome.status === 'rejected' ? null : outcome.value));
+    }
+
+    async unregisterPlugin(pluginName, { cascade = false } = {}) {
         const plugin = this.#plugins.get(pluginName);
+        const record = this.#records.get(pluginName);
+
+        // A plugin that failed to initialize only has its record left to remove
+        if (!plugin && record && record.state === PluginState.FAILED) {
+            this.#records.delete(pluginName);
+            this.emit('plugin:unregistered', { plugin: pluginName });
+            return;
+        }
+
         if (!plugin) {
             throw new Error(`Plugin ${pluginName} is not registered`);
         }
 
-        // Remove plugin hooks
-        for (const [hookName, hooks] of this.#hooks.entries()) {
-            for (const hookFn of Object.values(plugin.hooks || {})) {
-                hooks.delete(hookFn);
-            }
-            if (hooks.size === 0) {
-                this.#hooks.delete(hookName);
+        // Refuse to pull a plugin out from under its dependents unless asked to cascade
+        const dependents = this.#dependentsOf(pluginName);
+        if (dependents.length > 0 && !cascade) {
+            throw new Error(`Plugin ${pluginName} is required by ${dependents.join(', ')}`);
+        }
+        for (const dependent of dependents) {
+            if (this.#plugins.has(dependent)) {
+                await this.unregisterPlugin(dependent, { cascade: true });
             }
         }
 
+        this.#stopWatching(pluginName);
+        await this.#detachPlugin(plugin);
+        this.emit('plugin:unregistered', { plugin: pluginName });
+    }
+
+    // Remove a plugin's hooks and shut it down, without checking dependents
+    async #detachPlugin(plugin) {
+        const pluginName = plugin.name;
+        this.#removeHooks(pluginName);
+
         // Shutdown plugin if needed
         if (typeof plugin.shutdown === 'function') {
             try {
                 await plugin.shutdown();
             } catch (error) {
-                console.error(`Error shutting down plugin ${pluginName}: ${error.message}`);
+                this.emit('plugin:error', { plugin: pluginName, phase: 'shutdown', error });
             }
         }
 
+        this.#revokePluginApi(pluginName);
         this.#plugins.delete(pluginName);
-        console.log(`Plugin ${pluginName} unregistered successfully`);
+        this.#records.delete(pluginName);
+    }
+
+    // Register a plugin module that runs in its own worker thread. Each hook call
+    // is limited to `timeout` ms, and after `maxFailures` failures in a row the
+    // plugin is quarantined and a `plugin:quarantined` event is emitted.
+    // Functions can't cross the thread boundary, so isolated plugins receive
+    // their config but not the host API. Set `isModule` for an ES module that
+    // isn't a .mjs file.
+    async registerIsolatedPlugin(modulePath, options = {}) {
+        const plugin = await this.#createIsolatedPlugin(path.resolve(modulePath), options);
+        try {
+            await this.registerPlugin(plugin);
+        } catch (error) {
+            await this.#discardUnregistered([plugin]);
+            throw error;
+        }
+        return plugin.name;
+    }
+
+    // Stop the workers of isolated plugins that did not make it into the
+    // registry, so they don't keep the process alive
+    async #discardUnregistered(plugins) {
+        for (const plugin of plugins) {
+            const host = this.#isolatedHosts.get(plugin);
+            if (host && this.#plugins.get(plugin.name) !== plugin) {
+                await host.terminate();
+            }
+        }
+    }
+
+    async #createIsolatedPlugin(modulePath, {
+        timeout = 1000,
+        maxFailures = 3,
+        startTimeout = 10000,
+        ...manifest
+    } = {}) {
+        const host = new IsolatedPluginHost(modulePath, { isModule: manifest.isModule });
+        const description = await host.ready(startTimeout);
+        const name = manifest.name || description.name;
+        let failures = 0;
+
+        const call = async (type, payload, callTimeout) => {
+            try {
+                const result = await host.call(type, payload, callTimeout);
+                failures = 0;
+                return result;
+            } catch (error) {
+                failures++;
+                if (host.terminated || failures >= maxFailures) {
+                    await this.#quarantine(name, host, error, failures);
+                }
+                throw error;
+            }
+        };
+
+        const hooks = {};
+        for (const [hookName, options] of Object.entries(description.hooks)) {
+            if (options.mode === HookMode.SYNC) {
+                await host.terminate();
+                throw new Error(`Hook ${hookName} of isolated plugin ${name} cannot run in sync mode`);
+            }
+            hooks[hookName] = {
+                ...options,
+                handler: (...args) => call('call', { hook: hookName, args }, timeout)
+            };
+        }
+
+        const plugin = {
+            name,
+            version: manifest.version || description.version,
+            dependencies: manifest.dependencies || description.dependencies,
+            peerDependencies: manifest.peerDependencies || description.peerDependencies,
+            configSchema: manifest.configSchema || description.configSchema,
+            capabilities: manifest.capabilities || description.capabilities,
+            isolated: true,
+            hooks,
+            initialize: async (config) => {
+                try {
+                    await host.call('initialize', { args: [config] }, startTimeout);
+                } catch (error) {
+                    await host.terminate();
+                    throw error;
+                }
+            },
+            shutdown: async () => {
+                if (!host.terminated) {
+                    try {
+                        await host.call('shutdown', {}, startTimeout);
+                    } finally {
+                        await host.terminate();
+                    }
+                }
+            }
+        };
+        this.#isolatedHosts.set(plugin, host);
+        return plugin;
+    }
+
+    // Stop calling a misbehaving isolated plugin and free its worker
+    async #quarantine(pluginName, host, error, failures) {
+        const record = this.#records.get(pluginName);
+        if (!record || record.quarantined) {
+            return;
+        }
+
+        record.state = PluginState.DISABLED;
+        record.quarantined = true;
+        record.error = error;
+        await host.terminate();
+        this.emit('plugin:quarantined', { plugin: pluginName, error, failures });
+    }
+
+    #removeHooks(pluginName) {
+        for (const [hookName, handlers] of this.#hooks.entries()) {
+            const remaining = handlers.filter(handler => handler.plugin !== pluginName);
+            if (remaining.length === 0) {
+                this.#hooks.delete(hookName);
+            } else {
+                this.#hooks.set(hookName, remaining);
+            }
+        }
+    }
+
+    // Load every plugin found in the subdirectories of `directory`. With
+    // `watch`, a plugin is reloaded in place whenever its files change.
+    async loadFromDirectory(directory, { watch = false } = {}) {
+        const root = path.resolve(directory);
+        const entries = await fs.promises.readdir(root, { withFileTypes: true });
+
+        const loaded = [];
+        try {
+            for (const entry of entries.filter(entry => entry.isDirectory())) {
+                const pluginDir = path.join(root, entry.name);
+                const manifest = await this.#readManifest(pluginDir);
+                if (manifest) {
+                    loaded.push({ pluginDir, plugin: await this.#importPlugin(pluginDir, manifest) });
+                }
+            }
+
+            await this.registerPlugins(loaded.map(({ plugin }) => plugin));
+        } catch (error) {
+            await this.#discardUnregistered(loaded.map(({ plugin }) => plugin));
+            throw error;
+        }
+
+        if (watch) {
+            for (const { pluginDir, plugin } of loaded) {
+                this.#watchPlugin(pluginDir, plugin.name);
+            }
+        }
+        return loaded.map(({ plugin }) => plugin.name);
+    }
+
+    // Read plugin.json, or the `plugin` field of package.json. Directories with
+    // neither are not plugins and are skipped.
+    async #readManifest(pluginDir) {
+        const readJson = async (file) => {
+            try {
+                return JSON.parse(await fs.promises.readFile(path.join(pluginDir, file), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw new Error(`Invalid ${file} in ${pluginDir}: ${error.message}`);
+            }
+        };
+
+        let manifest = await readJson('plugin.json');
+        let isModule = false;
+
+        const pkg = await readJson('package.json');
+        if (pkg) {
+            isModule = pkg.type === 'module';
+            if (!manifest && pkg.plugin) {
+                const fields = typeof pkg.plugin === 'object' ? pkg.plugin : {};
+                manifest = { name: pkg.name, version: pkg.version, main: pkg.main, ...fields };
+            }
+        }
+        if (!manifest) {
+            return null;
+        }
+
+        if (typeof manifest.name !== 'string' || !manifest.name) {
+            throw new Error(`Plugin manifest in ${pluginDir} must have a name`);
+        }
+        if (!parseVersion(manifest.version)) {
+            throw new Error(`Plugin manifest for ${manifest.name} has an invalid version ${manifest.version}`);
+        }
+
+        const main = path.resolve(pluginDir, manifest.main || 'index.js');
+        if (path.relative(pluginDir, main).startsWith('..')) {
+            throw new Error(`Entry module of plugin ${manifest.name} must be inside ${pluginDir}`);
+        }
+
+        return { ...manifest, main, isModule: isModule || main.endsWith('.mjs') };
+    }
+
+    // Load the entry module fresh, bypassing the module cache so reloads pick up changes
+    async #importPlugin(pluginDir, manifest) {
+        if (manifest.isolated) {
+            return this.#createIsolatedPlugin(manifest.main, manifest);
+        }
+
+        let exported;
+        if (manifest.isModule) {
+            const url = `${pathToFileURL(manifest.main).href}?update=${Date.now()}`;
+            exported = (await import(url)).default;
+        } else {
+            for (const file of Object.keys(require.cache)) {
+                if (file.startsWith(pluginDir + path.sep)) {
+                    delete require.cache[file];
+                }
+            }
+            exported = require(manifest.main);
+        }
+
+        if (!exported || typeof exported !== 'object') {
+            throw new Error(`Entry module of plugin ${manifest.name} must export a plugin object`);
+        }
+
+        // The manifest is the source of truth for identity and dependencies
+        return {
+            ...exported,
+            name: manifest.name,
+            version: manifest.version,
+            dependencies: manifest.dependencies || exported.dependencies,
+            peerDependencies: manifest.peerDependencies || exported.peerDependencies,
+            configSchema: manifest.configSchema || exported.configSchema,
+            capabilities: manifest.capabilities || exported.capabilities
+        };
+    }
+
+    #watchPlugin(pluginDir, pluginName) {
+        let currentName = pluginName;
+        let timer = null;
+
+        // Editors tend to write a file several times in a row, so settle first
+        const watcher = fs.watch(pluginDir, () => {
+            clearTimeout(timer);
+            timer = setTimeout(async () => {
+                try {
+                    currentName = await this.#reloadPlugin(pluginDir, currentName);
+                    this.#watchers.delete(pluginName);
+                    this.#watchers.set(currentName, watcher);
+                } catch (error) {
+                    this.emit('plugin:error', { plugin: currentName, phase: 'reload', error });
+                }
+            }, 100);
+        });
+
+        watcher.on('close', () => clearTimeout(timer));
+        this.#watchers.set(pluginName, watcher);
+    }
+
+    // Swap a plugin for a fresh copy of its code. The old instance is shut down
+    // and restored if the new one fails to register.
+    async #reloadPlugin(pluginDir, pluginName) {
+        const previous = this.#plugins.get(pluginName);
+        const manifest = await this.#readManifest(pluginDir);
+        if (!manifest) {
+            throw new Error(`No plugin manifest found in ${pluginDir}`);
+        }
+        const plugin = await this.#importPlugin(pluginDir, manifest);
+
+        // Plugins depending on the old version must accept the new one
+        for (const dependent of this.#dependentsOf(pluginName)) {
+            const range = this.#plugins.get(dependent).dependencies[pluginName];
+            if (plugin.name !== pluginName || !satisfiesVersion(plugin.version, range)) {
+                await this.#discardUnregistered([plugin]);
+                throw new Error(`Plugin ${dependent} requires ${pluginName}@${range}`);
+            }
+        }
+
+        if (previous) {
+            await this.#detachPlugin(previous);
+        }
+
+        try {
+            await this.registerPlugin(plugin);
+        } catch (error) {
+            await this.#discardUnregistered([plugin]);
+            if (previous) {
+                await this.registerPlugin(previous);
+            }
+            throw error;
+        }
+
+        this.emit('plugin:reloaded', { plugin: plugin.name, version: plugin.version });
+        return plugin.name;
+    }
+
+    #stopWatching(pluginName) {
+        const watcher = this.#watchers.get(pluginName);
+        if (watcher) {
+            watcher.close();
+            this.#watchers.delete(pluginName);
+        }
+    }
+
+    // Stop watching every plugin loaded with `watch: true`
+    stopWatching() {
+        for (const pluginName of [...this.#watchers.keys()]) {
+            this.#stopWatching(pluginName);
+        }
+    }
+
+    // Unregister every plugin, dependents first, and stop watching. Disabled and
+    // quarantined plugins are shut down too, so no worker keeps the process alive.
+    async shutdown() {
+        this.stopWatching();
+        for (const pluginName of [...this.#plugins.keys()].reverse()) {
+            if (this.#plugins.has(pluginName)) {
+                await this.unregisterPlugin(pluginName, { cascade: true });
+            }
+        }
     }
 
     getPlugin(pluginName) {
         return this.#plugins.get(pluginName);
     }
 
+    // Plugins with their lifecycle state and per-hook health, e.g. for an admin endpoint
     listPlugins() {
-        return Array.from(this.#plugins.entries()).map(([name, plugin]) => ({
-            name,
-            version: plugin.version
-        }));
+        return Array.from(this.#records.entries()).map(([name, record]) => {
+            const plugin = this.#plugins.get(name);
+            const hooks = {};
+            for (const [hookName, stats] of record.hooks) {
+                hooks[hookName] = {
+                    calls: stats.calls,
+                    errors: stats.errors,
+                    avgLatency: stats.calls > 0 ? stats.totalDuration / stats.calls : 0,
+                    maxLatency: stats.maxDuration
+                };
+            }
+
+            return {
+                name,
+                version: record.version,
+                dependencies: (plugin && plugin.dependencies) || {},
+                state: record.state,
+                capabilities: record.capabilities,
+                isolated: record.isolated,
+                quarantined: record.quarantined,
+                error: record.error ? record.error.message : null,
+                hooks
+            };
+        });
     }
 }
 
@@ -99,6 +1517,13 @@ class PluginManager {
 const consoleLoggerPlugin = {
     name: 'console-logger',
     version: '1.0.0',
+    capabilities: ['hook:onLog', 'hook:onAlert'],
+    initialize: async (config, api) => {
+        // Custom hooks can be registered at runtime as well
+        api.registerHook('onAlert', async (message) => {
+            console.log(`🚨 ALERT: ${message}`);
+        });
+    },
     hooks: {
         'onLog': async (level, message) => {
             const timestamp = new Date().toISOString();
@@ -108,35 +1533,81 @@ const consoleLoggerPlugin = {
 };
 
 // File Logger Plugin
+let fileLoggerApi = null;
+let logFile = null;
+
 const fileLoggerPlugin = {
     name: 'file-logger',
     version: '1.0.0',
-    initialize: async () => {
+    // File access goes through the host API and is limited to ./logs
+    capabilities: ['hook:onLog', 'fs:write:./logs'],
+    configSchema: {
+        type: 'object',
+        properties: {
+            directory: { type: 'string', default: './logs' },
+            filename: { type: 'string', minLength: 1, default: 'app.log' }
+        },
+        additionalProperties: false
+    },
+    initialize: async (config, api) => {
         // Setup file handles, create directories, etc.
-        await fs.promises.mkdir('./logs', { recursive: true });
+        await api.fs.mkdir(config.directory, { recursive: true });
+        logFile = path.join(config.directory, config.filename);
+        fileLoggerApi = api;
     },
     shutdown: async () => {
         // Close file handles, etc.
     },
     hooks: {
-        'onLog': async (level, message) => {
-            const timestamp = new Date().toISOString();
-            const logLine = `[${timestamp}] ${level}: ${message}\n`;
-            await fs.promises.appendFile('./logs/app.log', logLine);
+        // Write to the file only once the message has been shown on the console
+        'onLog': {
+            after: ['console-logger'],
+            handler: async (level, message) => {
+                const timestamp = new Date().toISOString();
+                const logLine = `[${timestamp}] ${level}: ${message}\n`;
+                await fileLoggerApi.fs.appendFile(logFile, logLine);
+            }
+        }
+    }
+};
+
+// Redaction Plugin (rewrites messages before they are logged)
+const redactionPlugin = {
+    name: 'redaction',
+    version: '1.0.0',
+    capabilities: ['hook:formatLog'],
+    hooks: {
+        'formatLog': {
+            mode: HookMode.WATERFALL,
+            priority: 10,
+            handler: (message) => message.replace(/password=\S+/g, 'password=***')
         }
     }
 };
 
 // Slack Notification Plugin (for error logs only)
+let slackNotifierApi = null;
+
 const slackNotifierPlugin = {
     name: 'slack-notifier',
     version: '1.0.0',
-    initialize: async () => {
+    // Errors are also written to the log file before they are sent to Slack
+    dependencies: {
+        'file-logger': '^1.0.0'
+    },
+    peerDependencies: {
+        'console-logger': '>=1.0.0'
+    },
+    capabilities: ['hook:onLog', 'emit:onAlert', 'net'],
+    initialize: async (config, api) => {
         // Initialize Slack client
+        slackNotifierApi = api;
     },
     hooks: {
         'onLog': async (level, message) => {
             if (level === 'ERROR') {
+                await slackNotifierApi.emit('onAlert', message);
+
                 // Send it to Slack (implementation omitted for brevity)
                 await sendToSlack(`🚨 Error: ${message}`);
             }
@@ -144,29 +1615,93 @@ const slackNotifierPlugin = {
     }
 };
 
+// Metrics Exporter Plugin (asks for more than it declared)
+const metricsExporterPlugin = {
+    name: 'metrics-exporter',
+    version: '1.0.0',
+    capabilities: ['hook:onLog'],
+    initialize: async (config, api) => {
+        await api.fetch('http://metrics.internal/register');
+    }
+};
+
 async function main() {
     // Create plugin manager instance
     const pluginManager = new PluginManager();
 
-    // Register plugins
-    await pluginManager.registerPlugin(consoleLoggerPlugin);
-    await pluginManager.registerPlugin(fileLoggerPlugin);
-    await pluginManager.registerPlugin(slackNotifierPlugin);
+    pluginManager.on('plugin:initialized', ({ plugin, version }) => {
+        console.log(`Plugin ${plugin} v${version} registered successfully`);
+    });
+    pluginManager.on('plugin:unregistered', ({ plugin }) => {
+        console.log(`Plugin ${plugin} unregistered successfully`);
+    });
+    pluginManager.on('plugin:error', ({ plugin, phase, hook, error }) => {
+        console.error(`Plugin ${plugin} failed in ${hook || phase}: ${error.message}`);
+    });
+    pluginManager.on('plugin:quarantined', ({ plugin, error, failures }) => {
+        console.log(`Plugin ${plugin} quarantined after ${failures} failures: ${error.message}`);
+    });
+
+    // Restore enabled plugins and their configuration from the previous run
+    const stateFile = './logs/plugins.json';
+    await pluginManager.loadPluginState(stateFile);
+
+    // Register plugins, dependencies are initialized first whatever the order here
+    await pluginManager.registerPlugins([
+        slackNotifierPlugin,
+        consoleLoggerPlugin,
+        fileLoggerPlugin,
+        redactionPlugin
+    ]);
 
     // Create a logging function that uses the plugins
+    pluginManager.defineHook('formatLog', { mode: HookMode.WATERFALL });
+
     async function log(level, message) {
-        await pluginManager.executeHook('onLog', level, message);
+        const formatted = await pluginManager.executeHook('formatLog', message);
+        await pluginManager.executeHook('onLog', level, formatted);
     }
 
     // Example usage
     await log('INFO', 'Application started');
-    await log('ERROR', 'Failed to connect to database');
+    await log('ERROR', 'Failed to connect to database with password=hunter2');
+
+    // Load the plugins that live on disk and reload them when they change
+    await pluginManager.loadFromDirectory(path.join(__dirname, 'plugins'), { watch: true });
+    await log('WARN', 'Disk space is running low');
+
+    // The webhook notifier runs isolated and times out on errors until it is quarantined
+    await log('ERROR', 'Payment gateway unreachable');
+    await log('ERROR', 'Payment gateway still unreachable');
+    await log('ERROR', 'Payment gateway recovered');
+
+    // Plugins can only use what they declared
+    try {
+        await pluginManager.registerPlugin(metricsExporterPlugin);
+    } catch (error) {
+        console.error(error.message);
+    }
+
+    // Mute Slack during maintenance without losing its state
+    pluginManager.disablePlugin('slack-notifier');
+    await log('ERROR', 'Database restarting for maintenance');
+    pluginManager.enablePlugin('slack-notifier');
+    await pluginManager.savePluginState(stateFile);
 
     // List all registered plugins
-    console.log('Registered plugins:', pluginManager.listPlugins());
+    console.log('Registered plugins:');
+    console.dir(pluginManager.listPlugins(), { depth: null });
+
+    // A plugin that others depend on can't be removed on its own
+    try {
+        await pluginManager.unregisterPlugin('file-logger');
+    } catch (error) {
+        console.error(error.message);
+    }
 
     // Cleanup
-    await pluginManager.unregisterPlugin('slack-notifier');
+    await pluginManager.unregisterPlugin('file-logger', { cascade: true });
+    await pluginManager.shutdown();
 }
 
 main().catch(console.error);
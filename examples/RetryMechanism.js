@@ -1,126 +1,992 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+
 class RetryError extends Error {
-    constructor(originalError, attempts, duration) {
+    // `errors` holds one { attempt, error, delay, timestamp } entry per failed
+    // attempt; `delay` is the wait before the next one (null for the last)
+    constructor(originalError, attempts, duration, errors = []) {
         super(originalError.message);
         this.name = 'RetryError';
         this.originalError = originalError;
         this.attempts = attempts;
         this.duration = duration;
+        this.errors = errors;
+    }
+}
+
+// Thrown (or passed through) when an operation was cancelled. Never retried.
+class AbortError extends Error {
+    constructor(message = 'The operation was aborted') {
+        super(message);
+        this.name = 'AbortError';
+    }
+}
+
+// Thrown when the overall deadline passed to RetryMechanism.execute() expires
+class RetryTimeoutError extends Error {
+    constructor(timeout, history) {
+        super(`Operation timed out after ${timeout}ms`);
+        this.name = 'RetryTimeoutError';
+        this.timeout = timeout;
+        this.history = history;
+    }
+
+    get attempts() {
+        return this.history.length;
+    }
+}
+
+// A single attempt took longer than `attemptTimeout`. Retried like a network timeout.
+class AttemptTimeoutError extends Error {
+    constructor(timeout) {
+        super(`Attempt timed out after ${timeout}ms`);
+        this.name = 'AttemptTimeoutError';
+        this.code = 'ETIMEDOUT';
+    }
+}
+
+function abortReason(signal) {
+    return signal.reason instanceof Error ? signal.reason : new AbortError();
+}
+
+// Whether a failure is the caller cancelling rather than the operation failing.
+// The abort reason may be any error, e.g. a TimeoutError from AbortSignal.timeout(),
+// except our own deadline: an operation that runs past it has failed.
+function isCancellation(error, signal) {
+    if (signal && signal.aborted) {
+        return !(signal.reason instanceof RetryTimeoutError);
+    }
+    return Boolean(error && error.name === 'AbortError');
+}
+
+// A signal that aborts when any of `signals` does, or after `timeout` ms with
+// the error from `onTimeout`. Call cleanup() to detach from the parents.
+function linkSignals(signals, { timeout, onTimeout } = {}) {
+    const controller = new AbortController();
+    const abort = reason => controller.abort(reason);
+    const detachers = [];
+
+    for (const signal of signals.filter(Boolean)) {
+        if (signal.aborted) {
+            abort(abortReason(signal));
+            break;
+        }
+        const onAbort = () => abort(abortReason(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        detachers.push(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    const timer = timeout ? setTimeout(() => abort(onTimeout()), timeout) : null;
+
+    return {
+        signal: controller.signal,
+        cleanup: () => {
+            clearTimeout(timer);
+            detachers.forEach(detach => detach());
+        }
+    };
+}
+
+// Settle with the promise, or reject as soon as the signal aborts, whether or
+// not the underlying work honours the signal
+function raceSignal(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortReason(signal));
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// Predicates deciding whether an error is worth another attempt
+const RetryClassifiers = {
+    // Retry responses that usually succeed later: timeouts, rate limits, 5xx
+    httpStatus(statuses = [408, 425, 429, 500, 502, 503, 504]) {
+        return (error) => {
+            const status = error.status || error.statusCode || (error.response && error.response.status);
+            return statuses.includes(status);
+        };
+    },
+
+    // Retry low-level network failures
+    networkError(codes = [
+        'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE',
+        'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'
+    ]) {
+        return (error) => codes.includes(error.code);
+    },
+
+    any(...classifiers) {
+        return (error, attempt) => classifiers.some(classifier => classifier(error, attempt));
+    }
+};
+
+RetryClassifiers.transient = RetryClassifiers.any(
+    RetryClassifiers.httpStatus(),
+    RetryClassifiers.networkError()
+);
+
+// Turn a `retryOn` list into a predicate: numbers are HTTP statuses, strings
+// are error codes, functions are predicates
+function toRetryPredicate(retryOn) {
+    if (typeof retryOn === 'function') {
+        return retryOn;
+    }
+
+    const statuses = retryOn.filter(item => typeof item === 'number');
+    const codes = retryOn.filter(item => typeof item === 'string');
+    const predicates = retryOn.filter(item => typeof item === 'function');
+
+    return RetryClassifiers.any(
+        RetryClassifiers.httpStatus(statuses),
+        RetryClassifiers.networkError(codes),
+        ...predicates
+    );
+}
+
+// Read a Retry-After hint from an error, in ms. Accepts `retryAfter` as a number
+// of seconds or an HTTP date, like the header it usually comes from.
+function getRetryAfter(error) {
+    const headers = error.headers || (error.response && error.response.headers);
+    const value = error.retryAfter !== undefined && error.retryAfter !== null
+        ? error.retryAfter
+        : headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+
+    if (value === undefined || value === null || value === '') {
+        return null;
     }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
 }
 
-class ExponentialBackoffRetry {
+// Delay before retry number `retryCount` (0-based). `previousDelay` is only
+// used by decorrelated jitter.
+const BackoffStrategies = {
+    fixed: ({ baseDelay }) => baseDelay,
+    linear: ({ baseDelay }, retryCount) => baseDelay * (retryCount + 1),
+    exponential: ({ baseDelay }, retryCount) => Math.pow(2, retryCount) * baseDelay,
+    // Anywhere between 0 and the exponential delay
+    'full-jitter': ({ baseDelay, maxDelay }, retryCount) =>
+        Math.random() * Math.min(maxDelay, Math.pow(2, retryCount) * baseDelay),
+    // Grows from the previous delay rather than the attempt count
+    'decorrelated-jitter': ({ baseDelay }, retryCount, previousDelay) =>
+        baseDelay + Math.random() * (Math.max(previousDelay || baseDelay, baseDelay) * 3 - baseDelay)
+};
+
+class BackoffRetry {
     constructor(options = {}) {
         this.baseDelay = options.baseDelay || 1000;
         this.maxDelay = options.maxDelay || 30000;
-        this.maxRetries = options.maxRetries || 5;
-        this.jitter = options.jitter || true;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+        this.jitter = options.jitter !== false;
+
+        this.strategy = options.strategy || 'exponential';
+        if (typeof this.strategy !== 'function' && !BackoffStrategies[this.strategy]) {
+            throw new Error(`Unknown backoff strategy: ${this.strategy}`);
+        }
+
+        // Errors are retried unless the predicate says otherwise
+        const predicate = options.shouldRetry || (options.retryOn && toRetryPredicate(options.retryOn));
+        this.shouldRetry = predicate || (() => true);
+
+        this.honorRetryAfter = options.honorRetryAfter !== false;
+        this.maxRetryAfter = options.maxRetryAfter || this.maxDelay;
     }
 
-    async execute(fn) {
+    // `fn` receives the signal. Once it aborts, no further attempt is made and
+    // any pending wait is cut short. `onRetry({ attempt, error, delay })` is
+    // called before waiting for the next attempt.
+    async execute(fn, { signal, onRetry } = {}) {
         let retries = 0;
+        let previousDelay = null;
 
         while (true) {
+            if (signal && signal.aborted) {
+                throw abortReason(signal);
+            }
+
             try {
-                return await fn();
+                return await raceSignal(Promise.resolve().then(() => fn(signal)), signal);
             } catch (error) {
+                if (signal && signal.aborted) {
+                    throw abortReason(signal);
+                }
+
+                if (!this.isRetryable(error, retries + 1)) {
+                    throw error;
+                }
+
+                // The last error as is, so callers can still classify it
                 if (retries >= this.maxRetries) {
-                    throw new Error(`Failed after ${retries} retries: ${error.message}`);
+                    throw error;
+                }
+
+                const delay = this.getDelay(error, retries, previousDelay);
+                if (delay === null) {
+                    throw error;
                 }
 
-                const delay = this.calculateDelay(retries);
-                await this.wait(delay);
+                if (onRetry) {
+                    onRetry({ attempt: retries + 1, error, delay });
+                }
+
+                await this.wait(delay, signal);
+                previousDelay = delay;
                 retries++;
             }
         }
     }
 
-    calculateDelay(retryCount) {
-        // Calculate exponential delay: 2^retryCount * baseDelay
-        let delay = Math.min(
-            this.maxDelay,
-            Math.pow(2, retryCount) * this.baseDelay
-        );
+    isRetryable(error, attempt) {
+        if (error && error.name === 'AbortError') {
+            return false;
+        }
+        return Boolean(this.shouldRetry(error, attempt));
+    }
 
-        // Add jitter to prevent thundering herd problem
-        if (this.jitter) {
-            delay = delay * (0.5 + Math.random());
+    // Delay before the next attempt, or null when the server asked us to wait
+    // longer than we are prepared to
+    getDelay(error, retryCount, previousDelay) {
+        if (this.honorRetryAfter) {
+            const retryAfter = getRetryAfter(error);
+            if (retryAfter !== null) {
+                return retryAfter <= this.maxRetryAfter ? retryAfter : null;
+            }
+        }
+        return this.calculateDelay(retryCount, previousDelay);
+    }
+
+    calculateDelay(retryCount, previousDelay = null) {
+        const strategy = typeof this.strategy === 'function'
+            ? this.strategy
+            : BackoffStrategies[this.strategy];
+
+        let delay = Math.min(this.maxDelay, strategy(this, retryCount, previousDelay));
+
+        // Add jitter to prevent thundering herd problem. The jitter strategies
+        // are already randomized and custom strategies are left alone.
+        if (this.jitter && ['fixed', 'linear', 'exponential'].includes(this.strategy)) {
+            delay = Math.min(this.maxDelay, delay * (0.5 + Math.random()));
         }
 
         return delay;
     }
 
-    wait(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(abortReason(signal));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortReason(signal));
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
     }
 }
 
-class CircuitBreaker {
+// Kept for existing callers, equivalent to BackoffRetry with the exponential strategy
+class ExponentialBackoffRetry extends BackoffRetry {
     constructor(options = {}) {
-        this.failureThreshold = options.failureThreshold || 5;
+        super({ ...options, strategy: 'exponential' });
+    }
+}
+
+// Thrown instead of calling the operation while the breaker is OPEN,
+// or HALF_OPEN with every probe slot taken
+class CircuitOpenError extends Error {
+    constructor(state) {
+        super(`Circuit breaker is ${state}`);
+        this.name = 'CircuitOpenError';
+        this.state = state;
+    }
+}
+
+class BulkheadFullError extends Error {
+    constructor(maxConcurrent, maxQueue) {
+        super(`Bulkhead is full (${maxConcurrent} running, ${maxQueue} queued)`);
+        this.name = 'BulkheadFullError';
+    }
+}
+
+// Caps how many calls run at once. Further calls wait in a bounded FIFO queue
+// and are rejected once it is full.
+class Bulkhead {
+    constructor({ maxConcurrent = 10, maxQueue = 0 } = {}) {
+        this.maxConcurrent = maxConcurrent;
+        this.maxQueue = maxQueue;
+        this.active = 0;
+        this.queue = [];
+    }
+
+    // A call still waiting in the queue when `signal` aborts leaves the queue
+    // and rejects with the abort reason
+    async run(fn, signal) {
+        if (signal && signal.aborted) {
+            throw abortReason(signal);
+        }
+
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+        } else if (this.queue.length < this.maxQueue) {
+            // release() hands its slot straight to us
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    this.queue.splice(this.queue.indexOf(waiter), 1);
+                    reject(abortReason(signal));
+                };
+                const waiter = () => {
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    resolve();
+                };
+
+                this.queue.push(waiter);
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            });
+        } else {
+            throw new BulkheadFullError(this.maxConcurrent, this.maxQueue);
+        }
+
+        try {
+            return await fn();
+        } finally {
+            this.release();
+        }
+    }
+
+    release() {
+        const next = this.queue.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+}
+
+// Breaker state stores keep one JSON-serialisable record per breaker name:
+// { state, openedAt, calls, updatedAt }. Breakers in several processes that
+// share a store and a name trip together. Writes are last-writer-wins, so a
+// call recorded by two processes at the same moment may be lost.
+// A breaker whose store fails carries on with its local state.
+class MemoryStateStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(name) {
+        return this.records.get(name) || null;
+    }
+
+    async set(name, record) {
+        this.records.set(name, record);
+    }
+}
+
+// Keeps every record in one JSON file, e.g. on a volume the workers share
+class FileStateStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.writes = Promise.resolve();
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    }
+
+    async get(name) {
+        return (await this.readAll())[name] || null;
+    }
+
+    set(name, record) {
+        // Writes from this process go one at a time; the rename keeps
+        // readers in other processes from seeing a half-written file
+        this.writes = this.writes.catch(() => {}).then(async () => {
+            const records = await this.readAll();
+            records[name] = record;
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(records));
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+        return this.writes;
+    }
+}
+
+// Adapter for Redis-like clients: anything with async get(key) and set(key, value) for strings
+class KeyValueStateStore {
+    constructor(client, { prefix = 'circuit-breaker:' } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async get(name) {
+        const value = await this.client.get(this.prefix + name);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(name, record) {
+        await this.client.set(this.prefix + name, JSON.stringify(record));
+    }
+}
+
+const BreakerEvents = { OPEN: 'open', HALF_OPEN: 'halfOpen', CLOSED: 'close' };
+
+// Tracks recent call outcomes and trips when too many of them fail or are slow.
+// Emits `open`, `halfOpen` and `close` on state transitions, `rejected`
+// for calls turned away while OPEN or by the bulkhead, and `storeError`
+// when the state store can't be read or written.
+class CircuitBreaker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        // 'count' keeps the last `windowSize` calls, 'time' the calls of the last `windowSize` ms
+        this.windowType = options.windowType || 'count';
+        if (!['count', 'time'].includes(this.windowType)) {
+            throw new Error(`Unknown window type: ${this.windowType}`);
+        }
+        this.windowSize = options.windowSize || (this.windowType === 'count' ? 20 : 60000);
+        // `failureThreshold` is the older name for the minimum number of calls
+        this.minimumCalls = options.minimumCalls || options.failureThreshold || 5;
+        this.failureRateThreshold = options.failureRateThreshold || 50;
+        this.slowCallDuration = options.slowCallDuration || 10000;
+        this.slowCallRateThreshold = options.slowCallRateThreshold || 100;
+        this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
         this.resetTimeout = options.resetTimeout || 60000;
-        this.failures = 0;
+
+        // Called as fallback(error, context) when a call fails or is rejected;
+        // its result (e.g. a cached or default value) is returned instead
+        this.fallback = options.fallback || null;
+        this.bulkhead = options.bulkhead ? new Bulkhead(options.bulkhead) : null;
+        // Probe slots stay per process; state and window are shared through the store
+        this.name = options.name || 'default';
+        this.store = options.store || new MemoryStateStore();
+        // State changes are written at once, other call outcomes at most once per interval
+        this.saveInterval = options.saveInterval !== undefined ? options.saveInterval : 1000;
+        this.saveTimer = null;
+
         this.state = 'CLOSED';
-        this.lastFailureTime = null;
+        this.calls = [];
+        this.openedAt = null;
+        this.updatedAt = 0;
+        this.probesInFlight = 0;
+        this.probeSuccesses = 0;
     }
 
-    async execute(fn) {
+    // Failures after `signal` aborted are cancellations, which neither count
+    // against the breaker nor get a fallback. A RetryTimeoutError reason is a
+    // missed deadline instead, and counts as a failure.
+    async execute(fn, context = {}, { signal } = {}) {
+        try {
+            await this.sync();
+            // Fail fast rather than queue behind the bulkhead while OPEN
+            if (this.state === 'OPEN' && Date.now() - this.openedAt < this.resetTimeout) {
+                throw new CircuitOpenError(this.state);
+            }
+
+            return this.bulkhead
+                ? await this.bulkhead.run(() => this.call(fn, signal), signal)
+                : await this.call(fn, signal);
+        } catch (error) {
+            if (error instanceof CircuitOpenError || error instanceof BulkheadFullError) {
+                this.emit('rejected', { error, context });
+            }
+            if (!this.fallback || isCancellation(error, signal)) {
+                throw error;
+            }
+            return this.fallback(error, context);
+        }
+    }
+
+    // Works on the state execute() synced, so a call reads the store only once
+    async call(fn, signal) {
         if (this.state === 'OPEN') {
-            if (Date.now() - this.lastFailureTime >= this.resetTimeout) {
-                this.state = 'HALF_OPEN';
-            } else {
-                throw new Error('Circuit breaker is OPEN');
+            if (Date.now() - this.openedAt < this.resetTimeout) {
+                throw new CircuitOpenError(this.state);
+            }
+            this.transition('HALF_OPEN');
+            await this.save();
+        }
+
+        // Only a limited number of probe calls get through while HALF_OPEN
+        const isProbe = this.state === 'HALF_OPEN';
+        if (isProbe) {
+            if (this.probesInFlight + this.probeSuccesses >= this.halfOpenMaxCalls) {
+                throw new CircuitOpenError(this.state);
             }
+            this.probesInFlight++;
         }
 
+        const startTime = Date.now();
+        let result;
         try {
-            const result = await fn();
-            if (this.state === 'HALF_OPEN') {
-                this.state = 'CLOSED';
-                this.failures = 0;
+            result = await fn();
+        } catch (error) {
+            // A caller giving up says nothing about the health of the dependency
+            if (isCancellation(error, signal)) {
+                if (isProbe) {
+                    this.probesInFlight--;
+                }
+                throw error;
             }
-            return result;
+
+            await this.onFailure(Date.now() - startTime, isProbe);
+            throw error;
+        }
+
+        await this.onSuccess(Date.now() - startTime, isProbe);
+        return result;
+    }
+
+    // Adopt a newer record written by another breaker sharing the store
+    async sync() {
+        let record;
+        try {
+            record = await this.store.get(this.name);
         } catch (error) {
-            this.failures++;
-            this.lastFailureTime = Date.now();
+            this.emit('storeError', { operation: 'get', error });
+            return;
+        }
+        if (!record || record.updatedAt <= this.updatedAt) {
+            return;
+        }
 
-            if (this.failures >= this.failureThreshold) {
-                this.state = 'OPEN';
+        const from = this.state;
+        this.state = record.state;
+        this.openedAt = record.openedAt;
+        this.calls = record.calls;
+        this.updatedAt = record.updatedAt;
+
+        if (record.state !== from) {
+            if (record.state === 'HALF_OPEN') {
+                this.probesInFlight = 0;
+                this.probeSuccesses = 0;
             }
-            throw error;
+            this.emit(BreakerEvents[record.state], { from, to: record.state, metrics: this.getMetrics(), remote: true });
+        }
+    }
+
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.updatedAt = Date.now();
+        try {
+            await this.store.set(this.name, {
+                state: this.state,
+                openedAt: this.openedAt,
+                calls: this.calls,
+                updatedAt: this.updatedAt
+            });
+        } catch (error) {
+            this.emit('storeError', { operation: 'set', error });
         }
     }
+
+    // Write a state change now, and batch plain call outcomes
+    async commit(from) {
+        if (this.state !== from) {
+            await this.save();
+        } else if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), this.saveInterval);
+            this.saveTimer.unref();
+        }
+    }
+
+    async onSuccess(duration, isProbe) {
+        if (isProbe) {
+            this.probesInFlight--;
+            this.probeSuccesses++;
+            if (this.state === 'HALF_OPEN' && this.probeSuccesses >= this.halfOpenMaxCalls) {
+                this.transition('CLOSED');
+                await this.save();
+            }
+            return;
+        }
+
+        const from = this.state;
+        this.record(false, duration);
+        await this.commit(from);
+    }
+
+    async onFailure(duration, isProbe) {
+        if (isProbe) {
+            this.probesInFlight--;
+            if (this.state === 'HALF_OPEN') {
+                this.transition('OPEN');
+                await this.save();
+            }
+            return;
+        }
+
+        const from = this.state;
+        this.record(true, duration);
+        await this.commit(from);
+    }
+
+    record(failed, duration) {
+        if (this.state !== 'CLOSED') {
+            return;
+        }
+
+        this.calls.push({ failed, slow: duration >= this.slowCallDuration, time: Date.now() });
+        this.prune();
+
+        const metrics = this.getMetrics();
+        if (metrics.calls >= this.minimumCalls && (
+            metrics.failureRate >= this.failureRateThreshold ||
+            metrics.slowCallRate >= this.slowCallRateThreshold
+        )) {
+            this.transition('OPEN');
+        }
+    }
+
+    // Drop calls that have slid out of the window
+    prune() {
+        if (this.windowType === 'count') {
+            this.calls.splice(0, Math.max(0, this.calls.length - this.windowSize));
+        } else {
+            const windowStart = Date.now() - this.windowSize;
+            this.calls = this.calls.filter(call => call.time > windowStart);
+        }
+    }
+
+    get failures() {
+        return this.calls.filter(call => call.failed).length;
+    }
+
+    getMetrics() {
+        this.prune();
+        const calls = this.calls.length;
+        const failures = this.failures;
+        const slowCalls = this.calls.filter(call => call.slow).length;
+
+        return {
+            state: this.state,
+            calls,
+            failures,
+            slowCalls,
+            failureRate: calls > 0 ? (failures / calls) * 100 : 0,
+            slowCallRate: calls > 0 ? (slowCalls / calls) * 100 : 0
+        };
+    }
+
+    transition(state) {
+        const from = this.state;
+        const metrics = this.getMetrics();
+        this.state = state;
+
+        if (state === 'OPEN') {
+            this.openedAt = Date.now();
+        }
+        if (state === 'HALF_OPEN') {
+            this.probesInFlight = 0;
+            this.probeSuccesses = 0;
+        }
+        if (state === 'OPEN' || state === 'CLOSED') {
+            this.calls = [];
+        }
+
+        this.emit(BreakerEvents[state], { from, to: state, metrics });
+    }
 }
 
+// Hooks (all optional, errors thrown by them are logged and ignored):
+//   onRetry({ context, attempt, error, delay })     before waiting for the next attempt
+//   onSuccess({ context, attempts, duration, result })
+//   onGiveUp({ context, attempts, duration, error }) `error` is what execute() throws
+//   onCircuitOpen({ context, error })               the breaker turned the call away
+//   onCircuitStateChange({ operation, from, to, metrics })
+// `tracer` is any OpenTelemetry-style tracer: startSpan(name, { attributes })
+// returning a span with setAttribute(), recordException() and end().
+//
+// Every `context.operation` gets its own policy: a retrier and a breaker of its
+// own, so one failing dependency cannot trip the circuit for the others.
+// `retry` and `circuitBreaker` are the defaults; `policies` overrides them per
+// operation. Calls without an operation share the default policy.
 class RetryMechanism {
     constructor(options = {}) {
-        this.retrier = new ExponentialBackoffRetry(options.retry);
-        this.circuitBreaker = new CircuitBreaker(options.circuitBreaker);
+        this.defaults = {
+            retry: options.retry || {},
+            circuitBreaker: options.circuitBreaker || {}
+        };
         this.logger = options.logger || console;
+        this.hooks = options.hooks || {};
+        this.tracer = options.tracer || null;
+        this.policies = new Map();
+
+        const { retrier, circuitBreaker } = this.createPolicy(null, {});
+        this.retrier = retrier;
+        this.circuitBreaker = circuitBreaker;
+
+        for (const [operation, policy] of Object.entries(options.policies || {})) {
+            this.definePolicy(operation, policy);
+        }
+    }
+
+    definePolicy(operation, { retry = {}, circuitBreaker = {} } = {}) {
+        if (this.policies.has(operation)) {
+            throw new Error(`Policy for operation ${operation} is already defined`);
+        }
+
+        const policy = this.createPolicy(operation, { retry, circuitBreaker });
+        policy.options = { retry, circuitBreaker };
+        this.policies.set(operation, policy);
+        return policy;
+    }
+
+    // Operations without a policy of their own get one built from the defaults
+    getPolicy(operation) {
+        if (operation === undefined || operation === null) {
+            return { retrier: this.retrier, circuitBreaker: this.circuitBreaker };
+        }
+        if (!this.policies.has(operation)) {
+            this.definePolicy(operation).implicit = true;
+        }
+        return this.policies.get(operation);
+    }
+
+    // Define the policy wrap() asks for. A policy built from the defaults is
+    // replaced, one defined with the same options is shared, and one defined
+    // with other options is a conflict.
+    ensurePolicy(operation, { retry = {}, circuitBreaker = {} }) {
+        const existing = this.policies.get(operation);
+        if (existing && existing.implicit) {
+            this.policies.delete(operation);
+        } else if (existing) {
+            const same = (a, b) => Object.keys({ ...a, ...b }).every(key => a[key] === b[key]);
+            if (!same(existing.options.retry, retry) || !same(existing.options.circuitBreaker, circuitBreaker)) {
+                throw new Error(
+                    `Operation ${operation} already has a policy with other options; ` +
+                    'wrap it without retry or circuitBreaker to use that policy'
+                );
+            }
+            return existing;
+        }
+        return this.definePolicy(operation, { retry, circuitBreaker });
+    }
+
+    createPolicy(operation, { retry, circuitBreaker }) {
+        const breakerOptions = { ...this.defaults.circuitBreaker, ...circuitBreaker };
+        if (operation !== null && !circuitBreaker.name) {
+            // Keeps breakers of different operations apart in a shared store
+            breakerOptions.name = this.defaults.circuitBreaker.name
+                ? `${this.defaults.circuitBreaker.name}:${operation}`
+                : operation;
+        }
+
+        const policy = {
+            retrier: new BackoffRetry({ ...this.defaults.retry, ...retry }),
+            circuitBreaker: new CircuitBreaker(breakerOptions)
+        };
+
+        policy.circuitBreaker.on('rejected', ({ error, context }) => {
+            if (error instanceof CircuitOpenError) {
+                this.runHook('onCircuitOpen', { context, error });
+            }
+        });
+        for (const event of Object.values(BreakerEvents)) {
+            policy.circuitBreaker.on(event, ({ from, to, metrics }) => {
+                this.runHook('onCircuitStateChange', { operation, from, to, metrics });
+            });
+        }
+
+        return policy;
     }
 
-    async execute(fn, context = {}) {
+    // Returns a retrying version of `fn`. `context` and `signal` may be
+    // functions of the call's arguments; `retry` and `circuitBreaker` define
+    // the operation's policy. Without them the operation keeps the policy it
+    // already has, see ensurePolicy().
+    wrap(fn, { operation, context = {}, signal, timeout, attemptTimeout, retry, circuitBreaker } = {}) {
+        if (operation !== undefined && (retry || circuitBreaker)) {
+            this.ensurePolicy(operation, { retry, circuitBreaker });
+        }
+
+        return (...args) => {
+            const callContext = typeof context === 'function' ? context(...args) : context;
+            return this.execute(
+                () => fn(...args),
+                operation !== undefined ? { operation, ...callContext } : callContext,
+                {
+                    signal: typeof signal === 'function' ? signal(...args) : signal,
+                    timeout,
+                    attemptTimeout
+                }
+            );
+        };
+    }
+
+    // Options:
+    //   signal          AbortSignal that cancels the attempt in progress and any pending wait
+    //   timeout         deadline in ms for all attempts and delays together
+    //   attemptTimeout  limit in ms for each single attempt
+    // `fn` receives a signal that aborts on any of these, to pass on to fetch() etc.
+    async execute(fn, context = {}, { signal, timeout, attemptTimeout } = {}) {
         const startTime = Date.now();
+        const history = [];
         let attempts = 0;
 
+        const { retrier, circuitBreaker } = this.getPolicy(context.operation);
+        const span = this.startSpan('retry.execute', context);
+        const execution = linkSignals([signal], {
+            timeout,
+            onTimeout: () => new RetryTimeoutError(timeout, history)
+        });
+
+        const onRetry = ({ attempt, error, delay }) => {
+            history[history.length - 1].delay = delay;
+            this.runHook('onRetry', { context, attempt, error, delay });
+        };
+
         try {
-            return await this.circuitBreaker.execute(async () => {
-                return await this.retrier.execute(async () => {
+            const result = await circuitBreaker.execute(async () => {
+                return await retrier.execute(async () => {
                     attempts++;
+                    const attemptStart = Date.now();
+                    const attemptSpan = this.startSpan('retry.attempt', context, { 'retry.attempt': attempts });
+                    const attempt = linkSignals([execution.signal], {
+                        timeout: attemptTimeout,
+                        onTimeout: () => new AttemptTimeoutError(attemptTimeout)
+                    });
+
                     try {
-                        const result = await fn();
+                        const result = await raceSignal(
+                            Promise.resolve().then(() => fn(attempt.signal)),
+                            attempt.signal
+                        );
+                        history.push({ attempt: attempts, startedAt: attemptStart, duration: Date.now() - attemptStart });
                         this.logSuccess(context, attempts, startTime);
                         return result;
                     } catch (error) {
+                        history.push({
+                            attempt: attempts,
+                            startedAt: attemptStart,
+                            duration: Date.now() - attemptStart,
+                            error,
+                            delay: null
+                        });
                         this.logFailure(context, attempts, error);
+                        if (attemptSpan) {
+                            attemptSpan.recordException(error);
+                        }
                         throw error;
+                    } finally {
+                        attempt.cleanup();
+                        if (attemptSpan) {
+                            attemptSpan.end();
+                        }
                     }
-                });
-            });
+                }, { signal: execution.signal, onRetry });
+            }, context, { signal: execution.signal });
+
+            const duration = Date.now() - startTime;
+            this.runHook('onSuccess', { context, attempts, duration, result });
+            this.endSpan(span, attempts, 'success');
+            return result;
         } catch (error) {
-            throw new RetryError(error, attempts, Date.now() - startTime);
+            const duration = Date.now() - startTime;
+            const cancelled = isCancellation(error, execution.signal);
+            let finalError = error;
+
+            // Cancellation and the overall deadline surface as themselves
+            if (execution.signal.aborted) {
+                finalError = abortReason(execution.signal);
+            } else if (!cancelled) {
+                const errors = history
+                    .filter(entry => entry.error)
+                    .map(entry => ({
+                        attempt: entry.attempt,
+                        error: entry.error,
+                        delay: entry.delay,
+                        timestamp: entry.startedAt + entry.duration
+                    }));
+                finalError = new RetryError(error, attempts, duration, errors);
+            }
+
+            this.runHook('onGiveUp', { context, attempts, duration, error: finalError });
+            if (span) {
+                span.recordException(finalError);
+            }
+            this.endSpan(span, attempts, cancelled ? 'aborted' : 'gave_up');
+            throw finalError;
+        } finally {
+            execution.cleanup();
+        }
+    }
+
+    startSpan(name, context, attributes = {}) {
+        if (!this.tracer) {
+            return null;
+        }
+        return this.tracer.startSpan(name, { attributes: { ...context, ...attributes } });
+    }
+
+    endSpan(span, attempts, outcome) {
+        if (!span) {
+            return;
+        }
+        span.setAttribute('retry.attempts', attempts);
+        span.setAttribute('retry.outcome', outcome);
+        span.end();
+    }
+
+    runHook(name, payload) {
+        const hook = this.hooks[name];
+        if (!hook) {
+            return;
+        }
+
+        try {
+            Promise.resolve(hook(payload)).catch(error => this.logHookError(name, error));
+        } catch (error) {
+            this.logHookError(name, error);
         }
     }
 
+    logHookError(name, error) {
+        this.logger.error({
+            event: 'retry_hook_failure',
+            hook: name,
+            error: error.message
+        });
+    }
+
     logSuccess(context, attempts, startTime) {
         this.logger.info({
             event: 'retry_success',
@@ -140,29 +1006,79 @@ class RetryMechanism {
     }
 }
 
+const userCache = new Map();
+
 const retrySystem = new RetryMechanism({
     retry: {
         baseDelay: 1000,
         maxDelay: 30000,
-        maxRetries: 5
+        maxRetries: 5,
+        strategy: 'full-jitter',
+        // Only retry failures that are likely to go away: timeouts, 429/5xx,
+        // dropped connections. A missing user stays missing.
+        shouldRetry: RetryClassifiers.transient
     },
     circuitBreaker: {
-        failureThreshold: 5,
-        resetTimeout: 60000
+        // Trip when half of the last 20 calls failed, once at least 5 were made
+        windowType: 'count',
+        windowSize: 20,
+        minimumCalls: 5,
+        failureRateThreshold: 50,
+        slowCallDuration: 5000,
+        slowCallRateThreshold: 80,
+        halfOpenMaxCalls: 2,
+        resetTimeout: 60000,
+        // At most 10 calls in flight, 50 more waiting, the rest rejected
+        bulkhead: { maxConcurrent: 10, maxQueue: 50 },
+        // Share state between cluster workers, e.g.
+        // store: new KeyValueStateStore(redisClient) or new FileStateStore('/var/run/breaker.json')
+        name: 'user-service',
+        store: new MemoryStateStore(),
+        // Serve the last known profile while the database is unavailable
+        fallback: (error, context) => {
+            if (context.operation === 'fetchUserData' && userCache.has(context.userId)) {
+                return userCache.get(context.userId);
+            }
+            throw error;
+        }
+    },
+    // Feed these into a metrics client to chart retries per operation
+    hooks: {
+        onRetry: ({ context, attempt, delay }) =>
+            console.info(`${context.operation}: attempt ${attempt} failed, retrying in ${Math.round(delay)}ms`),
+        onGiveUp: ({ context, attempts }) =>
+            console.warn(`${context.operation}: giving up after ${attempts} attempt(s)`),
+        onCircuitOpen: ({ context }) =>
+            console.warn(`${context.operation}: rejected by open circuit`),
+        onCircuitStateChange: ({ operation, to, metrics }) =>
+            console.warn(`${operation}: circuit ${to}`, metrics)
+    },
+    // Profile updates go to a slower API: wait longer, retry less
+    policies: {
+        updateUserProfile: {
+            retry: { baseDelay: 2000, maxRetries: 3 },
+            circuitBreaker: { slowCallDuration: 10000, resetTimeout: 120000 }
+        }
     }
+    // tracer: require('@opentelemetry/api').trace.getTracer('user-service')
 });
 
 // Database operation with retry
-async function fetchUserData(userId) {
-    return retrySystem.execute(
-        async () => {
-            const user = await db.users.findById(userId);
-            if (!user) throw new Error('User not found');
-            return user;
-        },
-        { operation: 'fetchUserData', userId }
-    );
-}
+const fetchUserData = retrySystem.wrap(
+    async (userId) => {
+        const user = await db.users.findById(userId);
+        if (!user) throw Object.assign(new Error('User not found'), { status: 404 });
+        userCache.set(userId, user);
+        return user;
+    },
+    {
+        operation: 'fetchUserData',
+        context: (userId) => ({ userId }),
+        // Give up after 10s in total, and on any single query after 2s
+        timeout: 10000,
+        attemptTimeout: 2000
+    }
+);
 
 fetchUserData('user123')
     .then(user => console.log('User:', user))
@@ -170,20 +1086,32 @@ fetchUserData('user123')
 
 
 // API call with retry
-async function updateUserProfile(userId, data) {
+async function updateUserProfile(userId, data, signal) {
     return retrySystem.execute(
-        async () => {
+        async (attemptSignal) => {
             const response = await fetch(`/api/users/${userId}`, {
                 method: 'PUT',
-                body: JSON.stringify(data)
+                body: JSON.stringify(data),
+                signal: attemptSignal
             });
-            if (!response.ok) throw new Error('API request failed');
+            if (!response.ok) {
+                // Carry the status and any Retry-After hint for the retry policy
+                throw Object.assign(new Error('API request failed'), {
+                    status: response.status,
+                    retryAfter: response.headers.get('retry-after')
+                });
+            }
             return response.json();
         },
-        { operation: 'updateUserProfile', userId }
+        { operation: 'updateUserProfile', userId },
+        { signal }
     );
 }
 
-updateUserProfile('user123', { name: 'Alice' })
+// Stop retrying once the client that asked for the update has gone away,
+// e.g. req.on('close', () => clientRequest.abort()) in an Express handler
+const clientRequest = new AbortController();
+
+updateUserProfile('user123', { name: 'Alice' }, clientRequest.signal)
     .then(response => console.log('Response:', response))
     .catch(error => console.error('Error:', error));
@@ -1,4 +1,159 @@
-const { Transform, Readable } = require('stream');
+const { Transform, Readable, Writable, PassThrough, pipeline, finished } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+const ERROR_MODES = ['fail', 'skip', 'deadLetter'];
+
+// On stages that can end their output before their input, like take(). True
+// once they did.
+const kEndedEarly = Symbol('endedEarly');
+
+/**
+ * Join streams with stream.pipeline. Stages that ended their output early are
+ * closed once the last stream is done, which destroys the stages upstream of
+ * them. The premature close this causes is not reported as an error.
+ * @param {Array<Stream>} streams - Streams to join
+ * @param {Function} callback - Called with the first error of any stream
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.destination=false] - The last stream is done when
+ *   it finished writing rather than when its output was read
+ * @returns {Stream} Last stream
+ */
+function pipelineStages(streams, callback, { destination = false } = {}) {
+    let stopped = false;
+    const last = pipeline(...streams, (error) => {
+        const stoppedEarly = stopped && error && error.code === 'ERR_STREAM_PREMATURE_CLOSE';
+        callback(stoppedEarly ? null : error);
+    });
+
+    finished(last, destination ? { readable: false } : { writable: false }, (error) => {
+        const endedEarly = streams.filter(stream => stream[kEndedEarly] && !stream.destroyed);
+        if (!error && endedEarly.length > 0) {
+            stopped = true;
+            endedEarly.forEach(stream => stream.destroy());
+        }
+    });
+    return last;
+}
+
+/**
+ * Push a transform result: arrays become several chunks, null/undefined nothing
+ * @param {Transform} stream - Stream to push to
+ * @param {*} result - Result of the transform function
+ */
+function pushResult(stream, result) {
+    if (Array.isArray(result)) {
+        result.forEach(item => stream.push(item));
+    } else if (result !== null && result !== undefined) {
+        stream.push(result);
+    }
+}
+
+/**
+ * Run the transform function, retrying failed chunks with exponential backoff
+ * @param {Function} transform - Transformation function
+ * @param {*} chunk - Chunk to transform
+ * @param {Transform} stream - Stream the chunk belongs to
+ * @param {Object} retry - Normalized retry options
+ * @returns {Promise<*>} Transform result
+ */
+async function transformWithRetry(transform, chunk, stream, retry) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await transform(chunk, stream);
+        } catch (error) {
+            if (attempt >= retry.retries || stream.destroyed || !retry.shouldRetry(error, chunk)) {
+                throw error;
+            }
+
+            // Jitter keeps retried chunks from hitting the backend in lockstep
+            const delay = Math.min(retry.maxDelay, retry.baseDelay * 2 ** attempt);
+            await new Promise(resolve => setTimeout(resolve, delay * (0.5 + Math.random() / 2)));
+        }
+    }
+}
+
+class ParseError extends Error {
+    /**
+     * Malformed input found by one of the codecs
+     * @param {string} message - Error message, including the location
+     * @param {Object} location - `{ line, column }` for text, `{ offset }` for binary
+     */
+    constructor(message, location) {
+        super(message);
+        this.name = 'ParseError';
+        Object.assign(this, location);
+    }
+}
+
+/**
+ * Find the 1-based column at which JSON.parse gives up on a line. Error
+ * messages differ between V8 versions, so this looks for the longest prefix
+ * that is still valid JSON or merely incomplete.
+ * @param {string} text - Line that failed to parse
+ * @returns {number} Column of the offending character
+ */
+function jsonErrorColumn(text) {
+    const isValidPrefix = (length) => {
+        try {
+            JSON.parse(text.slice(0, length));
+            return true;
+        } catch (error) {
+            const match = /at position (\d+)/.exec(error.message);
+            return match
+                ? Number(match[1]) >= length
+                : /end of JSON input/.test(error.message);
+        }
+    };
+
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (isValidPrefix(mid)) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low + 1;
+}
+
+/**
+ * Quote a CSV field if it contains the delimiter, quotes or line breaks
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @param {string} quote - Quote character
+ * @returns {string} Encoded field
+ */
+function encodeCSVField(value, delimiter, quote) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (text.includes(delimiter) || text.includes(quote) || /[\r\n]/.test(text)) {
+        return quote + text.split(quote).join(quote + quote) + quote;
+    }
+    return text;
+}
+
+/**
+ * Turn any supported source into a Node readable stream
+ * @param {Readable|ReadableStream|Iterable|AsyncIterable|Function} source -
+ *   Node or WHATWG stream, (async) iterable, or a generator function
+ * @returns {Readable} Readable stream
+ */
+function toReadable(source) {
+    if (source instanceof Readable) {
+        return source;
+    }
+    if (typeof source === 'function') {
+        return toReadable(source());
+    }
+    if (source && typeof source.getReader === 'function') {
+        return Readable.fromWeb(source, { objectMode: true });
+    }
+    if (source && (source[Symbol.asyncIterator] || source[Symbol.iterator])) {
+        return Readable.from(source);
+    }
+    throw new TypeError('Source must be a stream, an iterable or a generator function');
+}
 
 class StreamTransformer {
     /**
@@ -7,76 +162,950 @@ class StreamTransformer {
      * @param {Function} options.transform - Transformation function
      * @param {Function} [options.flush] - Optional flush method
      * @param {boolean} [options.objectMode=true] - Enable object mode
+     * @param {number} [options.concurrency=1] - Chunks transformed in parallel
+     * @param {boolean} [options.ordered=true] - Emit results in input order
+     *   rather than as they finish
+     * @param {string} [options.onError='fail'] - What to do with a chunk that
+     *   still fails after retries: 'fail' the stream, 'skip' it, or send it to
+     *   the dead letter output
+     * @param {Function|Writable} [options.deadLetter] - Receives
+     *   `{ chunk, error }` for failed chunks in 'deadLetter' mode. A writable is
+     *   left open; without one the stream gets a `deadLetter` readable that ends
+     *   with it. A full dead letter stream holds up the main stream, so read it.
+     * @param {Object} [options.retry] - Per-chunk retry with exponential backoff
+     * @param {number} [options.retry.retries=0] - Retries after the first failure
+     * @param {number} [options.retry.baseDelay=100] - Delay before the first retry (ms)
+     * @param {number} [options.retry.maxDelay=5000] - Upper bound for the delay (ms)
+     * @param {Function} [options.retry.shouldRetry] - `(error, chunk) => boolean`
      */
     constructor(options = {}) {
         const {
             transform,
             flush = null,
-            objectMode = true
+            objectMode = true,
+            concurrency = 1,
+            ordered = true,
+            onError = 'fail',
+            deadLetter = null,
+            retry = null
         } = options;
 
         if (typeof transform !== 'function') {
             throw new Error('Transform function is required');
         }
 
-        return new Transform({
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error('Concurrency must be a positive integer');
+        }
+
+        if (!ERROR_MODES.includes(onError)) {
+            throw new Error(`onError must be one of: ${ERROR_MODES.join(', ')}`);
+        }
+
+        // Wait for 'drain' when the dead letter stream is full, which keeps the
+        // failed chunk's slot busy and so slows down the main stream
+        const writeDeadLetter = (target, letter) => new Promise((resolve, reject) => {
+            if (target.destroyed) {
+                reject(new Error('Dead letter stream is closed'));
+                return;
+            }
+            if (target.write(letter)) {
+                resolve();
+                return;
+            }
+
+            const onDrain = () => {
+                target.removeListener('close', onClose);
+                resolve();
+            };
+            const onClose = () => {
+                target.removeListener('drain', onDrain);
+                reject(new Error('Dead letter stream is closed'));
+            };
+            target.once('drain', onDrain);
+            target.once('close', onClose);
+        });
+
+        const retryPolicy = {
+            retries: 0,
+            baseDelay: 100,
+            maxDelay: 5000,
+            shouldRetry: () => true,
+            ...retry
+        };
+
+        // Without a target of its own, dead letters go to a side stream
+        const deadLetterStream = onError === 'deadLetter' && !deadLetter
+            ? new PassThrough({ objectMode: true })
+            : null;
+
+        const sendToDeadLetter = async (chunk, error) => {
+            if (typeof deadLetter === 'function') {
+                await deadLetter({ chunk, error });
+            } else {
+                await writeDeadLetter(deadLetter || deadLetterStream, { chunk, error });
+            }
+        };
+
+        // Chunks being transformed, in input order. Each keeps its slot until
+        // its result is pushed, so ordered mode buffers at most `concurrency`.
+        const pending = [];
+        // Write callback held back while every slot is busy. Not calling it
+        // is what applies backpressure to the writer.
+        let writeCallback = null;
+        // Flush waits here for the last chunks to finish
+        let flushCallback = null;
+        let failed = false;
+
+        const finish = async (callback) => {
+            try {
+                if (flush) {
+                    const result = await flush(stream);
+                    if (result) {
+                        stream.push(result);
+                    }
+                }
+                if (deadLetterStream) {
+                    deadLetterStream.end();
+                }
+                callback(null);
+            } catch (error) {
+                callback(error);
+            }
+        };
+
+        const drain = () => {
+            if (failed) {
+                return;
+            }
+
+            // Push finished results: only from the head when ordered
+            for (let i = 0; i < pending.length;) {
+                if (!pending[i].done) {
+                    if (ordered) {
+                        break;
+                    }
+                    i++;
+                    continue;
+                }
+                const [entry] = pending.splice(i, 1);
+                pushResult(stream, entry.result);
+            }
+
+            if (writeCallback && pending.length < concurrency) {
+                const callback = writeCallback;
+                writeCallback = null;
+                callback(null);
+            }
+
+            if (flushCallback && pending.length === 0) {
+                const callback = flushCallback;
+                flushCallback = null;
+                finish(callback);
+            }
+        };
+
+        const fail = (error) => {
+            if (failed) {
+                return;
+            }
+            failed = true;
+
+            const callback = writeCallback || flushCallback;
+            writeCallback = null;
+            flushCallback = null;
+            if (callback) {
+                callback(error);
+            } else {
+                stream.destroy(error);
+            }
+            if (deadLetterStream) {
+                deadLetterStream.destroy(error);
+            }
+        };
+
+        const complete = (entry, result) => {
+            entry.done = true;
+            entry.result = result;
+            drain();
+        };
+
+        // A chunk that failed for good: fail the stream or drop it, optionally
+        // dead-lettering it first
+        const reject = async (entry, chunk, error) => {
+            if (onError === 'fail') {
+                fail(error);
+                return;
+            }
+
+            try {
+                if (onError === 'deadLetter') {
+                    await sendToDeadLetter(chunk, error);
+                }
+                complete(entry, null);
+            } catch (deadLetterError) {
+                fail(deadLetterError);
+            }
+        };
+
+        const stream = new Transform({
             objectMode,
 
             // Transformation logic
-            async transform(chunk, encoding, callback) {
-                try {
-                    // Allow async transformations
-                    const result = await transform(chunk, this);
-
-                    // Push transformed data or multiple chunks
-                    if (Array.isArray(result)) {
-                        result.forEach(item => this.push(item));
-                    } else if (result !== null && result !== undefined) {
-                        this.push(result);
-                    }
+            transform(chunk, encoding, callback) {
+                const entry = { done: false, result: undefined };
+                pending.push(entry);
+
+                // Allow async transformations
+                transformWithRetry(transform, chunk, stream, retryPolicy)
+                    .then(
+                        result => complete(entry, result),
+                        error => reject(entry, chunk, error)
+                    );
 
+                // Take the next chunk right away while a slot is free
+                if (pending.length < concurrency) {
                     callback(null);
-                } catch (error) {
-                    callback(error);
+                } else {
+                    writeCallback = callback;
                 }
             },
 
             // Optional flush method for end-of-stream processing
-            async flush(callback) {
-                try {
-                    if (flush) {
-                        const result = await flush(this);
-                        if (result) {
-                            this.push(result);
-                        }
-                    }
-                    callback(null);
-                } catch (error) {
-                    callback(error);
+            flush(callback) {
+                if (pending.length === 0) {
+                    finish(callback);
+                } else {
+                    flushCallback = callback;
                 }
             }
         });
+
+        if (deadLetterStream) {
+            stream.deadLetter = deadLetterStream;
+            // Also when a pipeline tears this stage down, so readers never hang
+            stream.on('close', () => {
+                if (stream.errored) {
+                    deadLetterStream.destroy(stream.errored);
+                } else if (!deadLetterStream.writableEnded) {
+                    deadLetterStream.end();
+                }
+            });
+        }
+
+        return stream;
     }
 
     /**
-     * Create a pipeline of transformers
+     * Create a pipeline of transformers. Stages are joined with
+     * stream.pipeline, so an error in any of them destroys all the others.
+     * Transformers are streams, so a pipeline can only be run once.
      * @param {...StreamTransformer} transformers - Transformer streams
      * @returns {Object} Pipeline interface
      */
     static pipeline(...transformers) {
+        /**
+         * Pipe transformers to a source
+         * @param {Readable|ReadableStream|Iterable|AsyncIterable|Function} source -
+         *   Node or WHATWG stream, (async) iterable, or a generator function
+         * @returns {Readable} Transformed stream, usable with `for await` and
+         *   destroyed with the error of any failing stage
+         */
+        const through = (source) => {
+            const inputStream = toReadable(source);
+            if (transformers.length === 0) {
+                return inputStream;
+            }
+            // Errors reach the consumer through the returned stream
+            return pipelineStages([inputStream, ...transformers], () => {});
+        };
+
+        /**
+         * Fold the output of the pipeline into a single value
+         * @param {*} source - Any source accepted by through()
+         * @param {Function} reducer - `(accumulator, chunk) => accumulator`, may be async
+         * @param {*} initialValue - Starting accumulator
+         * @returns {Promise<*>} Final accumulator, rejects with the first error
+         *   of any stage
+         */
+        const reduce = async (source, reducer, initialValue) => {
+            let accumulator = initialValue;
+            for await (const chunk of through(source)) {
+                accumulator = await reducer(accumulator, chunk);
+            }
+            return accumulator;
+        };
+
         return {
+            through,
+            reduce,
+
             /**
-             * Pipe transformers to an input stream
-             * @param {Readable} inputStream - Source stream
-             * @returns {Readable} Transformed stream
+             * Gather the output of the pipeline into an array
+             * @param {*} source - Any source accepted by through()
+             * @returns {Promise<Array>} Every output chunk
              */
-            through: (inputStream) => {
-                return transformers.reduce(
-                    (stream, transformer) => stream.pipe(transformer),
-                    inputStream
+            collect: (source) => reduce(source, (chunks, chunk) => {
+                chunks.push(chunk);
+                return chunks;
+            }, []),
+
+            /**
+             * Run a source through the transformers into a destination
+             * @param {*} source - Any source accepted by through()
+             * @param {Writable} destination - Final stream
+             * @returns {Promise<void>} Resolves when the destination finishes,
+             *   rejects with the first error of any stage
+             */
+            run: (source, destination) => {
+                return new Promise((resolve, reject) => {
+                    pipelineStages([toReadable(source), ...transformers, destination], (error) => {
+                        if (error) {
+                            reject(error);
+                        } else {
+                            resolve();
+                        }
+                    }, { destination: true });
+                });
+            },
+
+            /**
+             * Expose the pipeline as a WHATWG transform stream, for
+             * `response.body.pipeThrough()` and other fetch-based code
+             * @returns {{writable: WritableStream, readable: ReadableStream}}
+             *   Readable/writable pair accepted by pipeThrough()
+             */
+            toWebStream: () => {
+                if (transformers.length === 0) {
+                    throw new Error('Pipeline has no transformers');
+                }
+                // A stage that ends early is closed without finishing, which
+                // would error the web readable, so read from a stream after it
+                const last = transformers[transformers.length - 1];
+                const stages = transformers.some(transformer => kEndedEarly in transformer)
+                    ? [...transformers, new PassThrough({ objectMode: last.readableObjectMode })]
+                    : transformers;
+
+                if (stages.length > 1) {
+                    pipelineStages(stages, () => {});
+                }
+                return {
+                    writable: Writable.toWeb(stages[0]),
+                    readable: Readable.toWeb(stages[stages.length - 1])
+                };
+            }
+        };
+    }
+
+    /**
+     * Transform every chunk. Arrays are emitted as single chunks.
+     * @param {Function} fn - `(chunk) => value`, may be async
+     * @param {Object} [options] - Extra StreamTransformer options
+     * @returns {Transform} Transform stream
+     */
+    static map(fn, options = {}) {
+        return new StreamTransformer({
+            ...options,
+            transform: async (chunk) => {
+                const result = await fn(chunk);
+                // null would end the stream, so it can't be passed on
+                return result === null || result === undefined ? null : [result];
+            }
+        });
+    }
+
+    /**
+     * Keep the chunks the predicate accepts
+     * @param {Function} predicate - `(chunk) => boolean`, may be async
+     * @param {Object} [options] - Extra StreamTransformer options
+     * @returns {Transform} Transform stream
+     */
+    static filter(predicate, options = {}) {
+        return new StreamTransformer({
+            ...options,
+            transform: async (chunk) => (await predicate(chunk)) ? [chunk] : null
+        });
+    }
+
+    /**
+     * Transform every chunk into any number of chunks
+     * @param {Function} fn - `(chunk) => iterable`; arrays, generators and
+     *   async iterables all work
+     * @param {Object} [options] - Extra StreamTransformer options
+     * @returns {Transform} Transform stream
+     */
+    static flatMap(fn, options = {}) {
+        return new StreamTransformer({
+            ...options,
+            transform: async (chunk) => {
+                const items = [];
+                for await (const item of await fn(chunk)) {
+                    items.push(item);
+                }
+                return items;
+            }
+        });
+    }
+
+    /**
+     * Group chunks into arrays of `size`. A partial batch is emitted after
+     * `maxWaitMs` without filling up, and at the end of the stream.
+     * @param {number} size - Chunks per batch
+     * @param {number} [maxWaitMs] - Longest time a chunk waits in a batch
+     * @returns {Transform} Transform stream
+     */
+    static batch(size, maxWaitMs) {
+        let buffer = [];
+        let timer = null;
+
+        const take = () => {
+            clearTimeout(timer);
+            timer = null;
+            const batch = buffer;
+            buffer = [];
+            return batch;
+        };
+
+        const stream = new StreamTransformer({
+            transform: (chunk) => {
+                buffer.push(chunk);
+                if (buffer.length >= size) {
+                    return [take()];
+                }
+                if (maxWaitMs !== undefined && !timer) {
+                    timer = setTimeout(() => stream.push(take()), maxWaitMs);
+                }
+                return null;
+            },
+            flush: () => buffer.length > 0 ? take() : null
+        });
+
+        stream.on('close', () => clearTimeout(timer));
+        return stream;
+    }
+
+    /**
+     * Group chunks by arrival time. Tumbling windows (the default) emit the
+     * chunks of each `ms` period once; sliding windows emit the chunks of the
+     * last `ms` every `slide` ms, so a chunk can appear in several windows.
+     * Empty windows are not emitted.
+     * @param {number} ms - Window length
+     * @param {Object} [options] - Window options
+     * @param {number} [options.slide=ms] - How often a window is emitted
+     * @returns {Transform} Transform stream
+     */
+    static window(ms, { slide = ms } = {}) {
+        const sliding = slide !== ms;
+        let items = [];
+        // Whether chunks arrived since the last window, so flush doesn't
+        // repeat a window that was already emitted
+        let dirty = false;
+        let timer = null;
+
+        const current = () => {
+            if (sliding) {
+                const windowStart = Date.now() - ms;
+                items = items.filter(item => item.time > windowStart);
+            }
+            const chunks = items.map(item => item.chunk);
+            if (!sliding) {
+                items = [];
+            }
+            dirty = false;
+            return chunks;
+        };
+
+        const stream = new StreamTransformer({
+            transform: (chunk) => {
+                items.push({ chunk, time: Date.now() });
+                dirty = true;
+                if (!timer) {
+                    timer = setInterval(() => {
+                        const chunks = current();
+                        if (chunks.length > 0) {
+                            stream.push(chunks);
+                        }
+                    }, slide);
+                }
+                return null;
+            },
+            flush: () => {
+                clearInterval(timer);
+                if (!dirty) {
+                    return null;
+                }
+                const chunks = current();
+                return chunks.length > 0 ? chunks : null;
+            }
+        });
+
+        stream.on('close', () => clearInterval(timer));
+        return stream;
+    }
+
+    /**
+     * Drop chunks whose key was seen before. Keys are kept for the lifetime
+     * of the stream.
+     * @param {Function} [keyFn] - `(chunk) => key`, defaults to the chunk itself
+     * @returns {Transform} Transform stream
+     */
+    static distinct(keyFn = chunk => chunk) {
+        const seen = new Set();
+        return new StreamTransformer({
+            transform: (chunk) => {
+                const key = keyFn(chunk);
+                if (seen.has(key)) {
+                    return null;
+                }
+                seen.add(key);
+                return [chunk];
+            }
+        });
+    }
+
+    /**
+     * Pass on the first `count` chunks, then end the output and stop reading.
+     * StreamTransformer.pipeline() closes it once the stages after it are done,
+     * which destroys the stages before it, so endless sources work too.
+     * @param {number} count - Chunks to pass on
+     * @returns {Transform} Transform stream
+     */
+    static take(count) {
+        let taken = 0;
+        const stream = new StreamTransformer({
+            // Pushes directly, so the end follows the last chunk
+            transform: (chunk) => {
+                if (stream[kEndedEarly]) {
+                    // Never settles: the busy slot holds back the writer
+                    return new Promise(() => {});
+                }
+                if (taken < count) {
+                    taken++;
+                    stream.push(chunk);
+                }
+                if (taken >= count) {
+                    stream[kEndedEarly] = true;
+                    stream.push(null);
+                }
+                return null;
+            }
+        });
+        stream[kEndedEarly] = false;
+        return stream;
+    }
+
+    /**
+     * Drop the first `count` chunks
+     * @param {number} count - Chunks to drop
+     * @returns {Transform} Transform stream
+     */
+    static skip(count) {
+        let skipped = 0;
+        return new StreamTransformer({
+            transform: (chunk) => skipped++ < count ? null : [chunk]
+        });
+    }
+
+    /**
+     * Pass on at most `perSecond` chunks per second. Chunks are delayed, not
+     * dropped, so a fast source is slowed down through backpressure.
+     * @param {number} perSecond - Chunks per second
+     * @returns {Transform} Transform stream
+     */
+    static throttle(perSecond) {
+        const interval = 1000 / perSecond;
+        let nextSlot = 0;
+        return new StreamTransformer({
+            transform: async (chunk) => {
+                const now = Date.now();
+                const slot = Math.max(now, nextSlot);
+                nextSlot = slot + interval;
+                if (slot > now) {
+                    await new Promise(resolve => setTimeout(resolve, slot - now));
+                }
+                return [chunk];
+            }
+        });
+    }
+
+    /**
+     * Run a side effect for every chunk and pass the chunk on unchanged
+     * @param {Function} fn - `(chunk) => void`, may be async
+     * @param {Object} [options] - Extra StreamTransformer options
+     * @returns {Transform} Transform stream
+     */
+    static tap(fn, options = {}) {
+        return new StreamTransformer({
+            ...options,
+            transform: async (chunk) => {
+                await fn(chunk);
+                return [chunk];
+            }
+        });
+    }
+
+    /**
+     * Parse newline-delimited JSON from text or bytes into objects. Blank
+     * lines are ignored.
+     * @returns {Transform} Transform stream, fails with a ParseError carrying
+     *   the line and column of malformed input
+     */
+    static parseNDJSON() {
+        const decoder = new StringDecoder('utf8');
+        let buffered = '';
+        let line = 0;
+
+        const parseLine = (stream, text) => {
+            line++;
+            const record = text.endsWith('\r') ? text.slice(0, -1) : text;
+            if (record.trim() === '') {
+                return;
+            }
+
+            let value;
+            try {
+                value = JSON.parse(record);
+            } catch (error) {
+                const column = jsonErrorColumn(record);
+                throw new ParseError(
+                    `Invalid JSON at line ${line}, column ${column}: ${error.message}`,
+                    { line, column }
                 );
             }
+            // null would end the stream
+            if (value !== null) {
+                stream.push(value);
+            }
+        };
+
+        return new Transform({
+            readableObjectMode: true,
+
+            transform(chunk, encoding, callback) {
+                try {
+                    // The last line may continue in the next chunk
+                    const lines = (buffered + decoder.write(chunk)).split('\n');
+                    buffered = lines.pop();
+                    lines.forEach(text => parseLine(this, text));
+                    callback(null);
+                } catch (error) {
+                    callback(error);
+                }
+            },
+
+            flush(callback) {
+                try {
+                    parseLine(this, buffered + decoder.end());
+                    callback(null);
+                } catch (error) {
+                    callback(error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Serialize objects as newline-delimited JSON
+     * @returns {Transform} Transform stream
+     */
+    static stringifyNDJSON() {
+        return new Transform({
+            writableObjectMode: true,
+
+            transform(chunk, encoding, callback) {
+                try {
+                    callback(null, JSON.stringify(chunk) + '\n');
+                } catch (error) {
+                    callback(error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Parse CSV from text or bytes. Quoted fields may contain delimiters,
+     * doubled quotes and line breaks; both LF and CRLF line endings work.
+     * @param {Object} [options] - Parser options
+     * @param {string} [options.delimiter=','] - Field delimiter
+     * @param {string} [options.quote='"'] - Quote character
+     * @param {boolean|string[]} [options.headers=true] - `true` reads column
+     *   names from the first row, an array supplies them, `false` emits rows
+     *   as arrays
+     * @returns {Transform} Transform stream, fails with a ParseError carrying
+     *   the line and column of malformed input
+     */
+    static parseCSV({ delimiter = ',', quote = '"', headers = true } = {}) {
+        if (delimiter.length !== 1 || quote.length !== 1) {
+            throw new Error('Delimiter and quote must be single characters');
+        }
+
+        const decoder = new StringDecoder('utf8');
+        let columns = Array.isArray(headers) ? headers : null;
+
+        let row = [];
+        let field = '';
+        // Whether the current row has any content, so blank lines are skipped
+        let rowStarted = false;
+        let inQuotes = false;
+        // Just saw a quote inside a quoted field: either an escaped quote or
+        // the end of the field
+        let quotePending = false;
+        // Just ended a row on CR; a following LF belongs to it
+        let afterCR = false;
+
+        let line = 1;
+        let column = 0;
+        let rowLine = 1;
+        let quoteLine = 0;
+        let quoteColumn = 0;
+
+        const fail = (message, atLine = line, atColumn = column) => {
+            throw new ParseError(
+                `${message} at line ${atLine}, column ${atColumn}`,
+                { line: atLine, column: atColumn }
+            );
+        };
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+        };
+
+        const endRow = (stream) => {
+            if (rowStarted) {
+                endField();
+                if (headers === false) {
+                    stream.push(row);
+                } else if (!columns) {
+                    columns = row;
+                } else {
+                    if (row.length !== columns.length) {
+                        fail(`Expected ${columns.length} fields but found ${row.length}`, rowLine, 1);
+                    }
+                    const record = {};
+                    columns.forEach((name, i) => {
+                        record[name] = row[i];
+                    });
+                    stream.push(record);
+                }
+            }
+            row = [];
+            field = '';
+            rowStarted = false;
+        };
+
+        const parse = (stream, text) => {
+            for (const char of text) {
+                column++;
+
+                if (afterCR) {
+                    afterCR = false;
+                    if (char === '\n') {
+                        column = 0;
+                        continue;
+                    }
+                }
+
+                if (quotePending) {
+                    quotePending = false;
+                    if (char === quote) {
+                        field += quote;
+                        continue;
+                    }
+                    inQuotes = false;
+                    if (char !== delimiter && char !== '\n' && char !== '\r') {
+                        fail(`Unexpected character ${JSON.stringify(char)} after closing quote`);
+                    }
+                }
+
+                if (inQuotes) {
+                    if (char === quote) {
+                        quotePending = true;
+                    } else {
+                        field += char;
+                        if (char === '\n') {
+                            line++;
+                            column = 0;
+                        }
+                    }
+                    continue;
+                }
+
+                if (!rowStarted) {
+                    rowStarted = char !== '\n' && char !== '\r';
+                    rowLine = line;
+                }
+
+                if (char === delimiter) {
+                    endField();
+                } else if (char === '\n' || char === '\r') {
+                    endRow(stream);
+                    afterCR = char === '\r';
+                    line++;
+                    column = 0;
+                } else if (char === quote) {
+                    if (field !== '') {
+                        fail('Unexpected quote in unquoted field');
+                    }
+                    inQuotes = true;
+                    quoteLine = line;
+                    quoteColumn = column;
+                } else {
+                    field += char;
+                }
+            }
         };
+
+        return new Transform({
+            readableObjectMode: true,
+
+            transform(chunk, encoding, callback) {
+                try {
+                    parse(this, decoder.write(chunk));
+                    callback(null);
+                } catch (error) {
+                    callback(error);
+                }
+            },
+
+            flush(callback) {
+                try {
+                    parse(this, decoder.end());
+                    if (inQuotes && !quotePending) {
+                        fail('Unterminated quoted field', quoteLine, quoteColumn);
+                    }
+                    endRow(this);
+                    callback(null);
+                } catch (error) {
+                    callback(error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Serialize objects or arrays as CSV
+     * @param {Object} [options] - Serializer options
+     * @param {string} [options.delimiter=','] - Field delimiter
+     * @param {string} [options.quote='"'] - Quote character
+     * @param {boolean|string[]} [options.headers=true] - `true` writes a header
+     *   row from the first object's keys, an array picks and orders the
+     *   columns, `false` writes no header
+     * @param {string} [options.eol='\n'] - Line ending
+     * @returns {Transform} Transform stream
+     */
+    static stringifyCSV({ delimiter = ',', quote = '"', headers = true, eol = '\n' } = {}) {
+        let columns = Array.isArray(headers) ? headers : null;
+        let headerWritten = headers === false;
+
+        const encodeRow = values => values
+            .map(value => encodeCSVField(value, delimiter, quote))
+            .join(delimiter) + eol;
+
+        return new Transform({
+            writableObjectMode: true,
+
+            transform(chunk, encoding, callback) {
+                if (Array.isArray(chunk)) {
+                    callback(null, encodeRow(chunk));
+                    return;
+                }
+
+                columns = columns || Object.keys(chunk);
+                let output = '';
+                if (!headerWritten) {
+                    output += encodeRow(columns);
+                    headerWritten = true;
+                }
+                output += encodeRow(columns.map(name => chunk[name]));
+                callback(null, output);
+            }
+        });
+    }
+
+    /**
+     * Split bytes into frames that each start with their big-endian length
+     * @param {Object} [options] - Framing options
+     * @param {number} [options.lengthBytes=4] - Size of the length prefix: 1, 2 or 4
+     * @param {number} [options.maxLength=16777216] - Largest frame accepted
+     * @returns {Transform} Transform stream emitting one Buffer per frame
+     */
+    static decodeLengthPrefixed({ lengthBytes = 4, maxLength = 16 * 1024 * 1024 } = {}) {
+        if (![1, 2, 4].includes(lengthBytes)) {
+            throw new Error('lengthBytes must be 1, 2 or 4');
+        }
+
+        let buffered = Buffer.alloc(0);
+        // Input offset of the first buffered byte, for error reports
+        let offset = 0;
+
+        return new Transform({
+            readableObjectMode: true,
+
+            transform(chunk, encoding, callback) {
+                // Frames and prefixes may be split across any number of chunks
+                buffered = Buffer.concat([buffered, chunk]);
+
+                while (buffered.length >= lengthBytes) {
+                    const length = buffered.readUIntBE(0, lengthBytes);
+                    if (length > maxLength) {
+                        callback(new ParseError(
+                            `Frame length ${length} exceeds maxLength ${maxLength} at byte ${offset}`,
+                            { offset }
+                        ));
+                        return;
+                    }
+                    if (buffered.length < lengthBytes + length) {
+                        break;
+                    }
+
+                    this.push(buffered.subarray(lengthBytes, lengthBytes + length));
+                    buffered = buffered.subarray(lengthBytes + length);
+                    offset += lengthBytes + length;
+                }
+                callback(null);
+            },
+
+            flush(callback) {
+                if (buffered.length > 0) {
+                    callback(new ParseError(
+                        `Truncated frame at byte ${offset}: ${buffered.length} bytes left over`,
+                        { offset }
+                    ));
+                    return;
+                }
+                callback(null);
+            }
+        });
+    }
+
+    /**
+     * Prefix every Buffer or string with its big-endian length
+     * @param {Object} [options] - Framing options
+     * @param {number} [options.lengthBytes=4] - Size of the length prefix: 1, 2 or 4
+     * @returns {Transform} Transform stream
+     */
+    static encodeLengthPrefixed({ lengthBytes = 4 } = {}) {
+        if (![1, 2, 4].includes(lengthBytes)) {
+            throw new Error('lengthBytes must be 1, 2 or 4');
+        }
+        const maxLength = 2 ** (8 * lengthBytes) - 1;
+
+        return new Transform({
+            writableObjectMode: true,
+
+            transform(chunk, encoding, callback) {
+                const payload = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk));
+                if (payload.length > maxLength) {
+                    callback(new Error(`Frame of ${payload.length} bytes does not fit a ${lengthBytes}-byte length`));
+                    return;
+                }
+
+                const prefix = Buffer.alloc(lengthBytes);
+                prefix.writeUIntBE(payload.length, 0, lengthBytes);
+                callback(null, Buffer.concat([prefix, payload]));
+            }
+        });
     }
 }
 
@@ -106,6 +1135,9 @@ async function demonstrateStreamTransformer() {
 
     // Example 2: Complex Data Transformation
     const userDataTransformer = new StreamTransformer({
+        // Enrich up to 3 users at a time, still emitted in input order
+        concurrency: 3,
+        ordered: true,
         transform: async (user) => {
             // Simulate async operation (e.g., data enrichment)
             await new Promise(resolve => setTimeout(resolve, 100));
@@ -179,6 +1211,106 @@ async function demonstrateStreamTransformer() {
             console.log('Processed Word:', word);
         })
         .on('end', () => console.log('Pipeline transformation complete'));
+
+    // Example 4: Error Handling
+    const parseTransformer = new StreamTransformer({
+        transform: (line) => JSON.parse(line),
+        // Set malformed records aside instead of failing the whole stream
+        onError: 'deadLetter',
+        deadLetter: ({ chunk, error }) => {
+            console.log('Dead letter:', chunk, '-', error.message);
+        }
+    });
+
+    const saveTransformer = new StreamTransformer({
+        transform: async (record) => {
+            // Simulate a flaky write that succeeds on the second try
+            if (!record.saved) {
+                record.saved = true;
+                throw new Error('Connection reset');
+            }
+            return record;
+        },
+        retry: { retries: 2, baseDelay: 50 }
+    });
+
+    const linesStream = Readable.from(['{"id":1}', '{"id":', '{"id":3}']);
+
+    await StreamTransformer.pipeline(parseTransformer, saveTransformer)
+        .run(linesStream, new Writable({
+            objectMode: true,
+            write(record, encoding, callback) {
+                console.log('Saved record:', record);
+                callback();
+            }
+        }));
+    console.log('Error handling pipeline complete');
+
+    // Example 5: Built-in Operators
+    const events = Readable.from([
+        { id: 1, type: 'click' },
+        { id: 2, type: 'view' },
+        { id: 1, type: 'click' },
+        { id: 3, type: 'click' },
+        { id: 4, type: 'click' },
+        { id: 5, type: 'view' }
+    ]);
+
+    await StreamTransformer.pipeline(
+        StreamTransformer.distinct(event => event.id),
+        StreamTransformer.filter(event => event.type === 'click'),
+        StreamTransformer.map(event => event.id),
+        // The last, partial batch is emitted when the input ends
+        StreamTransformer.batch(2, 1000),
+        StreamTransformer.tap(ids => console.log('Click batch:', ids))
+    ).run(events, new Writable({
+        objectMode: true,
+        write(chunk, encoding, callback) {
+            callback();
+        }
+    }));
+    console.log('Operator pipeline complete');
+
+    // Example 6: Codecs
+    // Chunk boundaries fall in the middle of records, as they would with a file
+    const csvStream = Readable.from([
+        Buffer.from('name,city\n"Smith, J",Ber'),
+        Buffer.from('lin\nAnn,Oslo\n')
+    ]);
+
+    await StreamTransformer.pipeline(
+        StreamTransformer.parseCSV(),
+        StreamTransformer.map(person => ({ ...person, city: person.city.toUpperCase() })),
+        StreamTransformer.stringifyNDJSON()
+    ).run(csvStream, new Writable({
+        write(line, encoding, callback) {
+            console.log('NDJSON:', line.toString().trim());
+            callback();
+        }
+    }));
+    console.log('Codec pipeline complete');
+
+    // Example 7: Iterables and Web Streams
+    async function* readings() {
+        yield { sensor: 'a', value: 21 };
+        yield { sensor: 'b', value: 19 };
+        yield { sensor: 'a', value: 23 };
+    }
+
+    const total = await StreamTransformer.pipeline(
+        StreamTransformer.filter(reading => reading.sensor === 'a')
+    ).reduce(readings, (sum, reading) => sum + reading.value, 0);
+    console.log('Sensor a total:', total);
+
+    // The same transformers in fetch-style code: a web stream of bytes in,
+    // a web stream of objects out
+    const body = new Blob(['{"id":1}\n{"id":2}\n']).stream();
+    const records = body.pipeThrough(
+        StreamTransformer.pipeline(StreamTransformer.parseNDJSON()).toWebStream()
+    );
+    for await (const record of records) {
+        console.log('Web stream record:', record);
+    }
 }
 
 // Run the demonstration
@@ -0,0 +1,16 @@
+// Log Counter Plugin (loaded from disk by PluginManager.loadFromDirectory)
+const counts = new Map();
+
+module.exports = {
+    initialize: async () => {
+        counts.clear();
+    },
+    shutdown: async () => {
+        console.log('Log counts:', Object.fromEntries(counts));
+    },
+    hooks: {
+        'onLog': async (level) => {
+            counts.set(level, (counts.get(level) || 0) + 1);
+        }
+    }
+};
@@ -0,0 +1,12 @@
+// Webhook Notifier Plugin (runs in a worker thread, see plugin.json)
+module.exports = {
+    hooks: {
+        'onLog': async (level, message) => {
+            if (level === 'ERROR') {
+                // Simulate a webhook endpoint that hangs
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                return `Notified: ${message}`;
+            }
+        }
+    }
+};